@@ -0,0 +1,25 @@
+// check-boost-corpus.js - Runs every line in fixtures/boost-lines.json through the boost grammar
+// and reports any result that differs from the recorded one. Exits non-zero on a mismatch.
+import fs from 'fs';
+import { parseBoostLine } from './lib/boost-grammar.js';
+
+const FIXTURES = new URL('./fixtures/boost-lines.json', import.meta.url);
+const { cases } = JSON.parse(fs.readFileSync(FIXTURES, 'utf8'));
+
+let failures = 0;
+for (const { line, expected } of cases) {
+  const parsed = parseBoostLine(line);
+  const actual = parsed && { ...parsed, issues: undefined };
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    failures++;
+    console.log(`✗ ${line}`);
+    console.log(`    expected: ${JSON.stringify(expected)}`);
+    console.log(`    actual:   ${JSON.stringify(actual)}`);
+    if (parsed?.issues.length) {
+      console.log(`    issues:   ${parsed.issues.join('; ')}`);
+    }
+  }
+}
+
+console.log(`${cases.length - failures}/${cases.length} boost lines parsed as expected`);
+process.exit(failures ? 1 : 0);
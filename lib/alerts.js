@@ -0,0 +1,71 @@
+import { logger } from './logger.js';
+
+export const SEVERITY = {
+  info: 0,
+  warning: 1,
+  critical: 2
+};
+
+const SEVERITY_ICONS = {
+  info: 'ℹ️',
+  warning: '⚠️',
+  critical: '🚨'
+};
+
+// Sends operator alerts as encrypted DMs. Repeats of the same alert key are held back
+// for the cooldown and reported as a count on the next one that goes out.
+export class AlertManager {
+  constructor(options) {
+    this.recipients = options.recipients; // hex pubkeys
+    this.minSeverity = SEVERITY[options.minSeverity] ?? SEVERITY.warning;
+    this.cooldownMs = options.cooldownMs || 30 * 60 * 1000;
+    this.send = options.send; // (recipientPubkey, message) => Promise
+    this.source = options.source || 'LibreRelayBot';
+    this.recent = new Map();
+    this.sent = 0;
+    this.suppressed = 0;
+  }
+
+  get enabled() {
+    return this.recipients.length > 0;
+  }
+
+  async alert(severity, key, message) {
+    if (!this.enabled || (SEVERITY[severity] ?? SEVERITY.critical) < this.minSeverity) {
+      return false;
+    }
+
+    const now = Date.now();
+    const previous = this.recent.get(key);
+    if (previous && now - previous.sentAt < this.cooldownMs) {
+      previous.suppressed++;
+      this.suppressed++;
+      logger.debug(`Alert ${key} suppressed (cooldown)`);
+      return false;
+    }
+    this.recent.set(key, { sentAt: now, suppressed: 0 });
+
+    let text = `${SEVERITY_ICONS[severity] || ''} [${severity.toUpperCase()}] ${this.source}: ${message}`;
+    if (previous?.suppressed) {
+      text += `\n(${previous.suppressed} similar alert${previous.suppressed === 1 ? '' : 's'} suppressed since ${new Date(previous.sentAt).toISOString()})`;
+    }
+
+    const results = await Promise.allSettled(this.recipients.map(pubkey => this.send(pubkey, text)));
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        logger.error(`Failed to send alert to ${this.recipients[i]}:`, result.reason?.message || result.reason);
+      }
+    });
+    this.sent++;
+    logger.info(`🔔 Sent ${severity} alert: ${key}`);
+    return true;
+  }
+
+  getStats() {
+    return {
+      recipients: this.recipients.length,
+      sent: this.sent,
+      suppressed: this.suppressed
+    };
+  }
+}
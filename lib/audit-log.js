@@ -0,0 +1,35 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+// Append-only JSONL record of admin actions
+export class AuditLog {
+  constructor(file) {
+    this.file = file;
+  }
+
+  record(action, details = {}) {
+    const entry = { timestamp: new Date().toISOString(), action, ...details };
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.appendFileSync(this.file, JSON.stringify(entry) + '\n');
+    } catch (error) {
+      logger.error('Failed to write audit log:', error.message);
+    }
+    logger.info(`📝 Audit: ${action}`, details);
+    return entry;
+  }
+
+  recent(limit = 50) {
+    try {
+      if (!fs.existsSync(this.file)) {
+        return [];
+      }
+      const lines = fs.readFileSync(this.file, 'utf8').trim().split('\n').filter(Boolean);
+      return lines.slice(-limit).reverse().map(line => JSON.parse(line));
+    } catch (error) {
+      logger.error('Failed to read audit log:', error.message);
+      return [];
+    }
+  }
+}
@@ -0,0 +1,194 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+const CSV_COLUMNS = ['receivedAt', 'eventId', 'amount', 'sender', 'show', 'track', 'message', 'relaysAccepted', 'raw'];
+
+// Append-only JSONL archive of every bridged boost: the raw IRC line, parsed fields,
+// signed event, its structured event and each relay's result. Later changes are appended as
+// small lines ({ eventId, url, result }, { eventId, deleted }, { id, structured }) and folded
+// into their records; the file is compacted on load.
+export class BoostArchive {
+  constructor(options) {
+    this.file = options.file;
+    this.records = new Map();
+    this.byEvent = new Map();
+    this._load();
+  }
+
+  _load() {
+    try {
+      if (!fs.existsSync(this.file)) {
+        return;
+      }
+      const lines = fs.readFileSync(this.file, 'utf8').split('\n').filter(Boolean);
+      for (const line of lines) {
+        try {
+          const entry = JSON.parse(line);
+          if (entry.url) {
+            this._applyRelayResult(entry.eventId, entry.url, entry.result);
+          } else if (entry.deleted) {
+            this._applyDeleted(entry.eventId);
+          } else if (entry.structured) {
+            this._applyStructured(entry.id, entry.structured);
+          } else {
+            this._index(entry);
+          }
+        } catch {
+          logger.warn('Skipping corrupt line in boost archive');
+        }
+      }
+      if (lines.length > this.records.size) {
+        this._compact();
+      }
+      logger.info(`🗄️ Loaded ${this.records.size} archived boost(s)`);
+    } catch (error) {
+      logger.error('Failed to load boost archive:', error.message);
+    }
+  }
+
+  _index(record) {
+    this.records.set(record.id, record);
+    const ids = this.byEvent.get(record.eventId) || new Set();
+    ids.add(record.id);
+    this.byEvent.set(record.eventId, ids);
+  }
+
+  _applyRelayResult(eventId, url, result) {
+    for (const id of this.byEvent.get(eventId) || []) {
+      this.records.get(id).relays[url] = result;
+    }
+  }
+
+  _applyDeleted(eventId) {
+    for (const id of this.byEvent.get(eventId) || []) {
+      this.records.get(id).deleted = true;
+    }
+  }
+
+  _applyStructured(id, event) {
+    const record = this.records.get(id);
+    if (record) {
+      record.structured = event;
+    }
+  }
+
+  _append(entry) {
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.appendFileSync(this.file, JSON.stringify(entry) + '\n');
+    } catch (error) {
+      logger.error('Failed to write boost archive:', error.message);
+    }
+  }
+
+  _compact() {
+    const tmpFile = `${this.file}.tmp`;
+    const body = [...this.records.values()].map(record => JSON.stringify(record)).join('\n');
+    fs.writeFileSync(tmpFile, body ? body + '\n' : '');
+    fs.renameSync(tmpFile, this.file);
+  }
+
+  // A burst note carries several boosts, so index distinguishes them under one event
+  record({ raw, boost, event, index = null }) {
+    const record = {
+      id: index === null ? event.id : `${event.id}:${index}`,
+      eventId: event.id,
+      receivedAt: new Date().toISOString(),
+      raw,
+      parsed: boost ? { ...boost, amount: parseInt(boost.amount) || null } : null,
+      event,
+      relays: {}
+    };
+    this._index(record);
+    this._append(record);
+    return record;
+  }
+
+  // The boosts a note carries, in the order they appear in it
+  recordsFor(eventId) {
+    return [...(this.byEvent.get(eventId) || [])].map(id => this.records.get(id));
+  }
+
+  // Retracted notes stay in the archive but are no longer served
+  markDeleted(eventId) {
+    if (!this.byEvent.has(eventId)) {
+      return;
+    }
+    this._applyDeleted(eventId);
+    this._append({ eventId, deleted: true });
+  }
+
+  // A structured event's d tag is the id of the record it describes
+  recordStructured(event) {
+    const id = event.tags.find(tag => tag[0] === 'd')?.[1];
+    if (!this.records.has(id)) {
+      return;
+    }
+    this._applyStructured(id, event);
+    this._append({ id, structured: event });
+  }
+
+  recordRelayResult(eventId, url, result) {
+    if (!this.byEvent.has(eventId)) {
+      return;
+    }
+    const entry = { eventId, url, result: { ...result, at: new Date().toISOString() } };
+    this._applyRelayResult(entry.eventId, entry.url, entry.result);
+    this._append(entry);
+  }
+
+  query(filters = {}) {
+    const from = filters.from ? new Date(filters.from).getTime() : null;
+    const to = filters.to ? new Date(filters.to).getTime() : null;
+    const show = filters.show?.toLowerCase();
+    const sender = filters.sender?.toLowerCase();
+    const minSats = filters.minSats ? parseInt(filters.minSats) : null;
+
+    const results = [];
+    for (const record of this.records.values()) {
+      const receivedAt = new Date(record.receivedAt).getTime();
+      if (from !== null && receivedAt < from) continue;
+      if (to !== null && receivedAt > to) continue;
+      if (show && !record.parsed?.show?.toLowerCase().includes(show)) continue;
+      if (sender && record.parsed?.sender?.toLowerCase() !== sender) continue;
+      if (minSats !== null && !(record.parsed?.amount >= minSats)) continue;
+      results.push(record);
+    }
+
+    // Newest first
+    results.sort((a, b) => b.receivedAt.localeCompare(a.receivedAt));
+    return filters.limit ? results.slice(0, filters.limit) : results;
+  }
+
+  toJsonl(records) {
+    return records.map(record => JSON.stringify(record)).join('\n') + (records.length ? '\n' : '');
+  }
+
+  toCsv(records) {
+    const escape = (value) => {
+      let text = value === null || value === undefined ? '' : String(value);
+      // Listener-controlled text mustn't turn into a spreadsheet formula
+      if (/^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+      }
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = records.map(record => [
+      record.receivedAt,
+      record.eventId,
+      record.parsed?.amount,
+      record.parsed?.sender,
+      record.parsed?.show,
+      record.parsed?.track,
+      record.parsed?.message,
+      Object.values(record.relays).filter(result => result.accepted).length,
+      record.raw
+    ].map(escape).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+  }
+
+  getStats() {
+    return { boosts: this.records.size };
+  }
+}
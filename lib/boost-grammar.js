@@ -0,0 +1,139 @@
+// Grammar for v4vmusic.com boostagram lines:
+//
+//   line    := [timestamp] header " | " show " | " track [" | " message]
+//   header  := amount ("sats" | "sat") "from" sender ["via" app]
+//   amount  := digits with "," or "." thousands separators, or a number with a k/m suffix ("21k", "2.1M")
+//   sender  := anything up to " via " (spaces, dots and emoji included)
+//
+// The message is the last field, so any " | " after the track belongs to it. A quoted track
+// that itself contains " | " is kept together up to its closing quote.
+
+const HEADER = /^(?<amount>\d[\d,.]*\s*[km]?)\s+sats?\s+from\s+(?<sender>.+?)(?:\s+via\s+(?<app>\S+))?\s*$/i;
+const TIMESTAMP = /^\[\d{1,2}:\d{2}(:\d{2})?\]\s*/; // ZNC playback prefix
+const PLAYBACK_TIME = /^\[(\d{1,2}):(\d{2})(?::(\d{2}))?\]/;
+const PLACEHOLDER_MESSAGES = ['no message', ''];
+
+export const CONFIDENCE = { high: 'high', partial: 'partial', low: 'low' };
+
+// "1,000" -> 1000, "21k" -> 21000, "2.5M" -> 2500000, "1.000" -> 1000; null if it isn't a whole number of sats
+export function parseAmount(text) {
+  const compact = String(text ?? '').replace(/\s+/g, '').toLowerCase();
+  const suffix = compact.match(/^(\d+(?:\.\d+)?)([km])$/);
+  if (suffix) {
+    // Rounded to get rid of float noise, e.g. 1.1 * 1000 = 1100.0000000000002
+    const value = Math.round(parseFloat(suffix[1]) * (suffix[2] === 'k' ? 1e3 : 1e6) * 1000) / 1000;
+    return Number.isInteger(value) ? value : null;
+  }
+  if (/^\d{1,3}([,.]\d{3})+$/.test(compact)) {
+    return parseInt(compact.replace(/[,.]/g, ''));
+  }
+  return /^\d+$/.test(compact) ? parseInt(compact) : null;
+}
+
+function unquote(text) {
+  const trimmed = text.trim();
+  const match = trimmed.match(/^(["'“])(.*)(["'”])$/s);
+  return match ? match[2].trim() : trimmed.replace(/^["'“]|["'”]$/g, '').trim();
+}
+
+// Splits on " | " but keeps a segment that opens a quote together until the quote closes
+function tokenize(body) {
+  // A trailing " |" (empty message, trimmed by sanitizing) still ends a field
+  const raw = body.split(/ \|(?: |$)/);
+  const segments = [];
+  for (let i = 0; i < raw.length; i++) {
+    let segment = raw[i];
+    const opener = segment.trimStart()[0];
+    if (segments.length === 2 && (opener === '"' || opener === '“')) {
+      const closer = opener === '“' ? '”' : '"';
+      let j = i;
+      while (!segment.trimEnd().endsWith(closer) && j + 1 < raw.length && raw.slice(j + 1).some(s => s.includes(closer))) {
+        segment += ' | ' + raw[++j];
+      }
+      i = j;
+    }
+    segments.push(segment);
+  }
+  return segments;
+}
+
+// When a ZNC playback line was originally sent, as { start, end } ms covering the stamp's
+// precision, or null for a live line. Stamps are read in local time and only carry the time
+// of day, so one later than now is taken to be from yesterday.
+export function playbackTime(line, now = Date.now()) {
+  const match = String(line ?? '').match(PLAYBACK_TIME);
+  if (!match) {
+    return null;
+  }
+  const [, hours, minutes, seconds] = match;
+  const date = new Date(now);
+  date.setHours(Number(hours), Number(minutes), Number(seconds ?? 0), 0);
+  if (date.getTime() > now + 60 * 1000) {
+    date.setDate(date.getDate() - 1);
+  }
+  const start = date.getTime();
+  return { start, end: start + (seconds === undefined ? 60 * 1000 : 1000) };
+}
+
+// Typed result: { amount: number|null, sender, app, show, track, message, autoBoost, confidence, issues[] },
+// or null when the line isn't a boost at all
+export function parseBoostLine(line) {
+  if (typeof line !== 'string') {
+    return null;
+  }
+  const body = line.replace(TIMESTAMP, '').trim();
+  const segments = tokenize(body);
+  const header = segments[0].match(HEADER);
+
+  if (segments.length < 3 && !header) {
+    return null;
+  }
+
+  const issues = [];
+  const result = {
+    amount: null,
+    sender: '',
+    app: '',
+    show: '',
+    track: '',
+    message: '',
+    autoBoost: false,
+    confidence: CONFIDENCE.high,
+    issues
+  };
+
+  if (header) {
+    result.amount = parseAmount(header.groups.amount);
+    result.sender = header.groups.sender.trim();
+    result.app = header.groups.app || '';
+    if (result.amount === null) issues.push(`unreadable amount "${header.groups.amount.trim()}"`);
+    if (!result.app) issues.push('no "via <app>" in header');
+  } else {
+    issues.push('header is not "<amount> sats from <sender>"');
+  }
+
+  if (segments.length < 3) {
+    issues.push(`expected at least 3 fields, got ${segments.length}`);
+  }
+
+  const show = unquote(segments[1] || '');
+  result.show = show === 'None' ? '' : show;
+
+  const track = unquote(segments[2] || '');
+  result.track = track === 'None' ? '' : track;
+
+  // Everything after the track is the message, " | " included
+  const message = unquote(segments.slice(3).join(' | ').replace(/sent from v4vmusic\.com.*$/i, ''));
+  const lowered = message.toLowerCase();
+  result.autoBoost = lowered.startsWith('auto boost');
+  if (!PLACEHOLDER_MESSAGES.includes(lowered) && !result.autoBoost) {
+    result.message = message;
+  }
+
+  if (!header || result.amount === null) {
+    result.confidence = CONFIDENCE.low;
+  } else if (issues.length > 0) {
+    result.confidence = CONFIDENCE.partial;
+  }
+  return result;
+}
@@ -0,0 +1,142 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { logger } from './logger.js';
+import { parseBoostLine, parseAmount, CONFIDENCE } from './boost-grammar.js';
+
+const FIELDS = ['amount', 'sender', 'show', 'track', 'message'];
+
+// "{amount} sats from {sender} | {show}" -> regex with named groups; the last field takes the rest of the line
+function templateToPattern(template) {
+  const pieces = template.split(/(\{\w+\})/).filter(Boolean);
+  const source = pieces.map((piece, index) => {
+    const field = piece.match(/^\{(\w+)\}$/)?.[1];
+    if (!field) {
+      return piece.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    }
+    if (field === 'amount') {
+      return '(?<amount>[\\d,]+)';
+    }
+    return index === pieces.length - 1 ? `(?<${field}>.*)` : `(?<${field}>.*?)`;
+  }).join('');
+  return new RegExp(`^${source}$`);
+}
+
+// Clean up whatever a declarative parser captured so every parser yields the same shape
+function normalize(fields) {
+  const boost = {};
+  for (const field of FIELDS) {
+    const value = (fields[field] || '').trim().replace(/^["']|["']$/g, '');
+    boost[field] = value === 'None' ? '' : value;
+  }
+  boost.amount = parseAmount(boost.amount);
+  boost.confidence = boost.amount !== null && boost.sender ? CONFIDENCE.high : CONFIDENCE.partial;
+  return boost;
+}
+
+// Named boost parsers, tried in order. Each one can be limited to certain IRC sources (bot nicks).
+// Parsers come from the parsers file (regex, template or a JS module) or from register().
+export class BoostParserRegistry {
+  constructor(options = {}) {
+    this.file = options.file;
+    this.parsers = [];
+    this.matches = {};
+    this.unmatched = 0;
+    this.lowConfidence = 0;
+  }
+
+  async load() {
+    let definitions = [];
+    if (this.file && fs.existsSync(this.file)) {
+      definitions = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      if (!Array.isArray(definitions)) {
+        throw new Error(`${this.file} must contain a JSON array of parser definitions`);
+      }
+    }
+
+    for (const definition of definitions) {
+      await this._loadDefinition(definition);
+    }
+
+    // The built-in layout is the fallback unless the file already placed it
+    if (!this.parsers.some(parser => parser.name === 'v4v-music')) {
+      this.register('v4v-music', parseBoostLine);
+    }
+    logger.info(`🧩 Boost parsers: ${this.parsers.map(parser => parser.name).join(', ')}`);
+  }
+
+  async _loadDefinition(definition) {
+    const { name, sources } = definition;
+    if (!name) {
+      throw new Error('Every boost parser needs a name');
+    }
+
+    if (definition.builtin) {
+      if (name !== 'v4v-music') {
+        throw new Error(`Unknown built-in boost parser: ${name}`);
+      }
+      return this.register(name, parseBoostLine, { sources });
+    }
+
+    if (definition.module) {
+      const modulePath = path.resolve(path.dirname(this.file), definition.module);
+      const loaded = await import(pathToFileURL(modulePath).href);
+      const parse = loaded.parse || loaded.default;
+      if (typeof parse !== 'function') {
+        throw new Error(`Boost parser module ${definition.module} must export a parse function`);
+      }
+      return this.register(name, parse, { sources });
+    }
+
+    if (!definition.pattern && !definition.template) {
+      throw new Error(`Boost parser ${name} needs a pattern, template, module or builtin`);
+    }
+    const regex = definition.pattern
+      ? new RegExp(definition.pattern, definition.flags || '')
+      : templateToPattern(definition.template);
+    this.register(name, (message) => {
+      const match = message.match(regex);
+      return match ? normalize({ ...definition.defaults, ...match.groups }) : null;
+    }, { sources });
+  }
+
+  // parse(message) returns { amount, sender, show, track, message[, confidence] } or null if the line isn't theirs
+  register(name, parse, options = {}) {
+    this.parsers.push({ name, parse, sources: options.sources || null });
+    this.matches[name] = 0;
+  }
+
+  // Pass { count: false } for lookups (e.g. dedup) that shouldn't show up in the match stats
+  parse(message, source, { count = true } = {}) {
+    for (const parser of this.parsers) {
+      if (parser.sources && !parser.sources.includes(source)) {
+        continue;
+      }
+      try {
+        const boost = parser.parse(message);
+        if (boost) {
+          if (count) {
+            this.matches[parser.name]++;
+            if (boost.confidence && boost.confidence !== CONFIDENCE.high) {
+              this.lowConfidence++;
+              logger.warn(`Boost parsed with ${boost.confidence} confidence by ${parser.name}: ${(boost.issues || []).join('; ')}`);
+            }
+          }
+          return { ...boost, parser: parser.name };
+        }
+      } catch (error) {
+        logger.warn(`Boost parser ${parser.name} failed: ${error.message}`);
+      }
+    }
+    if (count) this.unmatched++;
+    return null;
+  }
+
+  getStats() {
+    return {
+      parsers: this.parsers.map(parser => ({ name: parser.name, sources: parser.sources, matched: this.matches[parser.name] })),
+      unmatched: this.unmatched,
+      lowConfidence: this.lowConfidence
+    };
+  }
+}
@@ -0,0 +1,99 @@
+import { logger } from './logger.js';
+import { readJson, writeJson } from './storage.js';
+
+// Backpressure for one target: boosts over the rate limit wait here instead of being dropped.
+// In 'queue' mode they are released one per free slot; in 'coalesce' mode everything waiting
+// is released together so it can go out as a single burst note.
+export class BurstQueue {
+  constructor(options) {
+    this.target = options.target;
+    this.limiter = options.limiter; // (key) => boolean, see Security.createRateLimiter
+    this.mode = options.mode === 'coalesce' ? 'coalesce' : 'queue';
+    this.maxCoalesce = options.maxCoalesce || 10;
+    this.file = options.file;
+    this.release = options.release; // async ([{ message, source, channel }]) => void
+    this.checkInterval = options.checkInterval || 1000;
+
+    this.items = readJson(this.file, []);
+    this.timer = null;
+    this.draining = false;
+    this.queued = 0;
+    this.released = 0;
+
+    if (this.items.length > 0) {
+      logger.info(`⏳ Resuming ${this.items.length} queued boost(s) for ${this.target}`);
+      this._schedule();
+    }
+  }
+
+  // Returns true if the message may be posted right away, false if it was queued.
+  // context ({ source, channel }) is kept with a queued message so rules still see where it came from
+  admit(message, context = {}) {
+    // Anything already waiting goes first so boosts keep their order
+    if (this.items.length === 0 && this.limiter(this.target)) {
+      return true;
+    }
+
+    this.items.push({ message, context, queuedAt: Date.now() });
+    this.queued++;
+    this._save();
+    logger.warn(`⏳ Rate limit reached for ${this.target}, queued boost (${this.items.length} waiting)`);
+    this._schedule();
+    return false;
+  }
+
+  _schedule() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.drain().catch(error => {
+        logger.error(`Error draining boost queue for ${this.target}:`, error);
+      });
+    }, this.checkInterval);
+  }
+
+  async drain() {
+    if (this.draining) {
+      return;
+    }
+    this.draining = true;
+    try {
+      while (this.items.length > 0 && this.limiter(this.target)) {
+        const count = this.mode === 'coalesce' ? this.maxCoalesce : 1;
+        const batch = this.items.slice(0, count);
+        await this.release(batch.map(item => ({ ...item.context, message: item.message })));
+        // Only drop items once they've been handed off, so a crash mid-release replays them
+        this.items.splice(0, batch.length);
+        this.released += batch.length;
+        this._save();
+      }
+      if (this.items.length === 0) {
+        this.stop();
+      }
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  _save() {
+    writeJson(this.file, this.items);
+  }
+
+  getStats() {
+    return {
+      mode: this.mode,
+      waiting: this.items.length,
+      oldestWaitSeconds: this.items.length ? Math.floor((Date.now() - this.items[0].queuedAt) / 1000) : null,
+      queued: this.queued,
+      released: this.released
+    };
+  }
+}
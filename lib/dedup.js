@@ -0,0 +1,77 @@
+import crypto from 'crypto';
+import { logger } from './logger.js';
+import { readJson, writeJson } from './storage.js';
+import { playbackTime } from './boost-grammar.js';
+
+// Suppresses boosts we've already posted within a sliding window, e.g. after a reconnect,
+// ZNC buffer playback or a net-split rejoin. Playback from before the last boost we handled
+// is dropped whatever its age. Both are persisted so restarts are covered too.
+export class BoostDeduplicator {
+  constructor(options) {
+    this.file = options.file;
+    this.windowMs = options.windowMs || 10 * 60 * 1000;
+    const saved = readJson(this.file, {});
+    // Older files held only the fingerprint map
+    const state = saved.seen ? saved : { seen: saved, lastBoostAt: 0 };
+    this.seen = new Map(Object.entries(state.seen));
+    this.lastBoostAt = state.lastBoostAt || 0;
+    this.suppressed = 0;
+    this._prune();
+  }
+
+  // Records the boost and returns true if an identical one was seen inside the window,
+  // or if it is playback sent before the last boost we handled
+  isDuplicate(message, boost) {
+    const now = Date.now();
+    this._prune(now);
+
+    const played = playbackTime(message, now);
+    if (played && played.end <= this.lastBoostAt) {
+      this.suppressed++;
+      logger.warn(`🔁 Replayed boost from before the last one handled suppressed (sent ${new Date(played.start).toISOString()})`);
+      return true;
+    }
+
+    const fingerprint = this.fingerprint(message, boost);
+    const previous = this.seen.get(fingerprint);
+    if (previous !== undefined) {
+      this.suppressed++;
+      logger.warn(`🔁 Duplicate boost suppressed (first seen ${Math.round((now - previous) / 1000)}s ago)`);
+      return true;
+    }
+
+    this.seen.set(fingerprint, now);
+    // Playback counts from when it was sent, so the rest of the same buffer still gets through
+    this.lastBoostAt = Math.max(this.lastBoostAt, played ? played.start : now);
+    writeJson(this.file, { seen: Object.fromEntries(this.seen), lastBoostAt: this.lastBoostAt });
+    return false;
+  }
+
+  fingerprint(message, boost) {
+    const normalized = message
+      .replace(/^\[\d{1,2}:\d{2}(:\d{2})?\]\s*/, '') // ZNC playback timestamp prefix
+      .replace(/\s+/g, ' ')
+      .trim()
+      .toLowerCase();
+    const fields = boost
+      ? [boost.amount, boost.sender, boost.show, boost.track, boost.message].map(v => String(v ?? '').trim().toLowerCase())
+      : [];
+    return crypto.createHash('sha256').update(JSON.stringify([normalized, ...fields])).digest('hex');
+  }
+
+  _prune(now = Date.now()) {
+    for (const [fingerprint, seenAt] of this.seen) {
+      if (now - seenAt > this.windowMs) {
+        this.seen.delete(fingerprint);
+      }
+    }
+  }
+
+  getStats() {
+    return {
+      suppressed: this.suppressed,
+      tracked: this.seen.size,
+      windowSeconds: Math.round(this.windowMs / 1000)
+    };
+  }
+}
@@ -0,0 +1,189 @@
+import { logger } from './logger.js';
+import { readJson, writeJson } from './storage.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Aggregates parsed boosts into daily/weekly/per-show recaps and posts them as digest notes.
+// Totals are persisted after every boost so a restart doesn't lose the running numbers.
+export class BoostDigest {
+  constructor(options) {
+    this.schedules = options.schedules; // any of 'daily', 'weekly', 'show'
+    this.hour = options.hour ?? 0; // UTC hour for daily/weekly digests
+    this.weekday = options.weekday ?? 0; // 0 = Sunday
+    this.showIdleMs = options.showIdleMs || 60 * 60 * 1000;
+    this.topCount = options.topCount || 3;
+    this.stateFile = options.stateFile;
+    this.publish = options.publish; // (content, tags) => Promise
+    this.footer = options.footer ?? '#V4V\nhttps://v4vmusic.com';
+    this.recapTags = (options.hashtags || ['v4v']).map(hashtag => ['t', `${hashtag}recap`]);
+    this.timer = null;
+    this.posting = false;
+
+    this.state = readJson(this.stateFile, { periods: {}, shows: {} });
+    for (const period of ['daily', 'weekly']) {
+      if (!this.schedules.includes(period)) {
+        delete this.state.periods[period];
+      } else if (!this.state.periods[period]) {
+        this.state.periods[period] = { totals: this._emptyTotals(), nextDue: this._nextDue(period) };
+      }
+    }
+  }
+
+  get enabled() {
+    return this.schedules.length > 0;
+  }
+
+  start() {
+    if (!this.enabled || this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.postDue().catch(error => {
+        logger.error('Error posting boost digest:', error);
+      });
+    }, 60000);
+    // Catch up on anything that came due while we were down
+    this.postDue().catch(error => {
+      logger.error('Error posting boost digest:', error);
+    });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  record(boost) {
+    const amount = parseInt(boost?.amount);
+    if (!this.enabled || !amount) {
+      return;
+    }
+
+    for (const period of Object.values(this.state.periods)) {
+      this._add(period.totals, boost, amount);
+    }
+
+    if (this.schedules.includes('show') && boost.show) {
+      if (!this.state.shows[boost.show]) {
+        this.state.shows[boost.show] = { totals: this._emptyTotals() };
+      }
+      const show = this.state.shows[boost.show];
+      this._add(show.totals, boost, amount);
+      show.lastBoostAt = Date.now();
+    }
+
+    writeJson(this.stateFile, this.state);
+  }
+
+  async postDue(now = Date.now()) {
+    if (this.posting) {
+      return;
+    }
+    this.posting = true;
+    try {
+      for (const [name, period] of Object.entries(this.state.periods)) {
+        if (now < period.nextDue) {
+          continue;
+        }
+        if (period.totals.boosts > 0) {
+          const title = name === 'daily' ? 'Daily V4V recap' : 'Weekly V4V recap';
+          await this.publish(this.format(title, period.totals), this.recapTags);
+          logger.info(`📊 Posted ${name} boost digest`);
+        }
+        period.totals = this._emptyTotals();
+        period.nextDue = this._nextDue(name, now);
+        writeJson(this.stateFile, this.state);
+      }
+
+      for (const [show, entry] of Object.entries(this.state.shows)) {
+        if (now - entry.lastBoostAt < this.showIdleMs) {
+          continue;
+        }
+        await this.publish(this.format(`Recap: ${show}`, entry.totals), this.recapTags);
+        logger.info(`📊 Posted show digest for ${show}`);
+        delete this.state.shows[show];
+        writeJson(this.stateFile, this.state);
+      }
+    } finally {
+      this.posting = false;
+    }
+  }
+
+  format(title, totals) {
+    const top = (counts) => Object.entries(counts)
+      .sort((a, b) => b[1].sats - a[1].sats || b[1].boosts - a[1].boosts)
+      .slice(0, this.topCount);
+
+    let formatted = `📊 ${title}\n\n`;
+    formatted += `⚡ ${totals.sats.toLocaleString('en-US')} sats from ${totals.boosts} boost${totals.boosts === 1 ? '' : 's'}\n`;
+    formatted += `👥 ${Object.keys(totals.senders).length} unique booster${Object.keys(totals.senders).length === 1 ? '' : 's'}\n\n`;
+
+    const boosters = top(totals.senders);
+    if (boosters.length > 0) {
+      formatted += '🏆 Top boosters:\n';
+      boosters.forEach(([sender, stats], i) => {
+        formatted += `${i + 1}. ${sender} - ${stats.sats.toLocaleString('en-US')} sats\n`;
+      });
+      formatted += '\n';
+    }
+
+    const [track] = Object.entries(totals.tracks).sort((a, b) => b[1].boosts - a[1].boosts || b[1].sats - a[1].sats);
+    if (track) {
+      formatted += `🎧 Most boosted track: ${track[0]} (${track[1].boosts} boost${track[1].boosts === 1 ? '' : 's'}, ${track[1].sats.toLocaleString('en-US')} sats)\n\n`;
+    }
+
+    const shows = top(totals.shows);
+    if (shows.length > 1) {
+      formatted += '🎵 Shows:\n';
+      shows.forEach(([show, stats]) => {
+        formatted += `• ${show} - ${stats.sats.toLocaleString('en-US')} sats\n`;
+      });
+      formatted += '\n';
+    }
+
+    return formatted + this.footer;
+  }
+
+  _add(totals, boost, amount) {
+    totals.sats += amount;
+    totals.boosts++;
+    const bump = (counts, key) => {
+      if (!key) return;
+      counts[key] = counts[key] || { sats: 0, boosts: 0 };
+      counts[key].sats += amount;
+      counts[key].boosts++;
+    };
+    bump(totals.senders, boost.sender);
+    bump(totals.tracks, boost.track);
+    bump(totals.shows, boost.show);
+  }
+
+  _emptyTotals() {
+    return { sats: 0, boosts: 0, senders: {}, tracks: {}, shows: {}, since: new Date().toISOString() };
+  }
+
+  _nextDue(period, now = Date.now()) {
+    const due = new Date(now);
+    due.setUTCHours(this.hour, 0, 0, 0);
+    if (period === 'weekly') {
+      due.setUTCDate(due.getUTCDate() + ((this.weekday - due.getUTCDay() + 7) % 7));
+    }
+    while (due.getTime() <= now) {
+      due.setTime(due.getTime() + (period === 'weekly' ? 7 * DAY_MS : DAY_MS));
+    }
+    return due.getTime();
+  }
+
+  getStats() {
+    return {
+      schedules: this.schedules,
+      periods: Object.fromEntries(Object.entries(this.state.periods).map(([name, period]) => [
+        name,
+        { sats: period.totals.sats, boosts: period.totals.boosts, nextDue: new Date(period.nextDue).toISOString() }
+      ])),
+      openShows: Object.keys(this.state.shows)
+    };
+  }
+}
@@ -0,0 +1,211 @@
+import { WebSocketServer } from 'ws';
+import { matchFilters, verifyEvent } from 'nostr-tools';
+import { logger } from './logger.js';
+
+const MAX_SUBSCRIPTIONS = 20;
+const DEFAULT_LIMIT = 500;
+
+const isReplaceable = (kind) => kind === 0 || kind === 3 || (kind >= 10000 && kind < 20000);
+const isAddressable = (kind) => kind >= 30000 && kind < 40000;
+const isArrayOf = (value, type) => Array.isArray(value) && value.every(item => typeof item === type);
+
+// Reason a filter can't be matched, or null; matchFilters assumes well-formed filters
+function filterError(filter) {
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    return 'filters must be objects';
+  }
+  for (const [key, value] of Object.entries(filter)) {
+    if (key === 'ids' || key === 'authors' || key.startsWith('#')) {
+      if (!isArrayOf(value, 'string')) {
+        return `${key} must be an array of strings`;
+      }
+    } else if (key === 'kinds') {
+      if (!isArrayOf(value, 'number')) {
+        return 'kinds must be an array of numbers';
+      }
+    } else if (key === 'since' || key === 'until' || key === 'limit') {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return `${key} must be a number`;
+      }
+      if (key === 'limit' && value < 0) {
+        return 'limit must not be negative';
+      }
+    }
+  }
+  return null;
+}
+
+// Read-only NIP-01 relay serving the bridge's own events, sharing the Express HTTP server.
+// Only events signed by the bridge's pubkey are stored; everything else is rejected.
+export class EmbeddedRelay {
+  constructor(options) {
+    this.pubkey = options.pubkey;
+    this.name = options.name || 'LibreRelayBot bridge relay';
+    this.maxEvents = options.maxEvents || 10000;
+    this.events = new Map();
+    this.deleted = new Set();
+    this.clients = new Map(); // socket -> Map(subId -> filters)
+    // The web server routes upgrade requests here, since several bridges can share one port
+    this.wss = new WebSocketServer({ noServer: true });
+    this.wss.on('connection', (socket, req) => {
+      this.clients.set(socket, new Map());
+      logger.debug(`Embedded relay client connected from ${req.socket.remoteAddress}`);
+
+      socket.on('message', (data) => {
+        // A bad frame must never take the bridge down with it
+        try {
+          this._handleMessage(socket, data);
+        } catch (error) {
+          logger.warn(`Embedded relay failed to handle a message: ${error.message}`);
+          this._send(socket, ['NOTICE', 'error: could not process message']);
+        }
+      });
+      socket.on('close', () => this.clients.delete(socket));
+      socket.on('error', (error) => logger.debug(`Embedded relay socket error: ${error.message}`));
+    });
+  }
+
+  handleUpgrade(req, socket, head) {
+    this.wss.handleUpgrade(req, socket, head, (ws) => this.wss.emit('connection', ws, req));
+  }
+
+  // NIP-11 relay information document, served for "Accept: application/nostr+json"
+  info() {
+    return {
+      name: this.name,
+      description: 'Read-only relay for events published by this bridge',
+      pubkey: this.pubkey,
+      supported_nips: [1, 9, 11],
+      software: 'LibreRelayBot',
+      limitation: { max_subscriptions: MAX_SUBSCRIPTIONS, max_limit: DEFAULT_LIMIT, restricted_writes: true }
+    };
+  }
+
+  // Store an event the bridge has signed and push it to matching live subscriptions
+  add(event) {
+    if (event.pubkey !== this.pubkey || this.deleted.has(event.id) || this.events.has(event.id)) {
+      return false;
+    }
+
+    if (event.kind === 5) {
+      for (const tag of event.tags) {
+        if (tag[0] === 'e') {
+          this.deleted.add(tag[1]);
+          this.events.delete(tag[1]);
+        }
+      }
+    }
+
+    // Replaceable and addressable kinds keep only the newest version
+    if (isReplaceable(event.kind) || isAddressable(event.kind)) {
+      const d = isAddressable(event.kind) ? event.tags.find(tag => tag[0] === 'd')?.[1] || '' : null;
+      for (const existing of this.events.values()) {
+        const existingD = d === null ? null : existing.tags.find(tag => tag[0] === 'd')?.[1] || '';
+        if (existing.kind === event.kind && existingD === d) {
+          if (existing.created_at > event.created_at) {
+            return false;
+          }
+          this.events.delete(existing.id);
+        }
+      }
+    }
+
+    this.events.set(event.id, event);
+    if (this.events.size > this.maxEvents) {
+      this.events.delete(this.events.keys().next().value);
+    }
+
+    for (const [socket, subscriptions] of this.clients) {
+      for (const [subId, filters] of subscriptions) {
+        if (matchFilters(filters, event)) {
+          this._send(socket, ['EVENT', subId, event]);
+        }
+      }
+    }
+    return true;
+  }
+
+  _handleMessage(socket, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch {
+      return this._send(socket, ['NOTICE', 'error: invalid JSON']);
+    }
+    if (!Array.isArray(message)) {
+      return this._send(socket, ['NOTICE', 'error: expected a JSON array']);
+    }
+
+    switch (message[0]) {
+      case 'REQ':
+        return this._handleReq(socket, message[1], message.slice(2));
+      case 'CLOSE':
+        this.clients.get(socket)?.delete(message[1]);
+        return this._send(socket, ['CLOSED', message[1], '']);
+      case 'EVENT':
+        return this._handleEvent(socket, message[1]);
+      default:
+        return this._send(socket, ['NOTICE', `error: unsupported message type ${message[0]}`]);
+    }
+  }
+
+  _handleReq(socket, subId, filters) {
+    const subscriptions = this.clients.get(socket);
+    if (typeof subId !== 'string' || !subId) {
+      return this._send(socket, ['NOTICE', 'error: invalid subscription id']);
+    }
+    if (!subscriptions.has(subId) && subscriptions.size >= MAX_SUBSCRIPTIONS) {
+      return this._send(socket, ['CLOSED', subId, 'error: too many subscriptions']);
+    }
+    const invalid = filters.length === 0 ? 'at least one filter is required' : filters.map(filterError).find(Boolean);
+    if (invalid) {
+      subscriptions.delete(subId);
+      return this._send(socket, ['CLOSED', subId, `invalid: ${invalid}`]);
+    }
+    subscriptions.set(subId, filters);
+
+    // Newest first, honouring the smallest limit asked for
+    const limit = Math.min(DEFAULT_LIMIT, ...filters.map(filter => filter.limit ?? DEFAULT_LIMIT));
+    const matches = [...this.events.values()]
+      .filter(event => matchFilters(filters, event))
+      .sort((a, b) => b.created_at - a.created_at)
+      .slice(0, limit);
+
+    for (const event of matches) {
+      this._send(socket, ['EVENT', subId, event]);
+    }
+    this._send(socket, ['EOSE', subId]);
+  }
+
+  _handleEvent(socket, event) {
+    if (!event || typeof event !== 'object' || !verifyEvent(event)) {
+      return this._send(socket, ['OK', event?.id || '', false, 'invalid: bad signature or malformed event']);
+    }
+    if (event.pubkey !== this.pubkey) {
+      return this._send(socket, ['OK', event.id, false, 'blocked: this relay only serves the bridge\'s own events']);
+    }
+    const added = this.add(event);
+    this._send(socket, ['OK', event.id, true, added ? '' : 'duplicate: already have this event']);
+  }
+
+  _send(socket, message) {
+    if (socket.readyState === socket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  }
+
+  getStats() {
+    return {
+      events: this.events.size,
+      clients: this.clients.size,
+      subscriptions: [...this.clients.values()].reduce((sum, subs) => sum + subs.size, 0)
+    };
+  }
+
+  close() {
+    for (const socket of this.clients.keys()) {
+      socket.terminate();
+    }
+    this.wss.close();
+  }
+}
@@ -0,0 +1,233 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { logger } from './logger.js';
+import { readJson, writeJson } from './storage.js';
+
+const normalizeTitle = (title) => (title || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Static mapping file: { "<show>": { feedGuid, feedUrl, image, link, tracks: { "<track>": { guid, link, image } } } }
+export class MappingLookup {
+  constructor(options) {
+    this.name = 'mapping';
+    this.shows = {};
+    for (const [show, feed] of Object.entries(readJson(options.file, {}))) {
+      const tracks = {};
+      for (const [track, item] of Object.entries(feed.tracks || {})) {
+        tracks[normalizeTitle(track)] = item;
+      }
+      this.shows[normalizeTitle(show)] = { ...feed, tracks };
+    }
+  }
+
+  async lookup(show, track) {
+    const feed = this.shows[normalizeTitle(show)];
+    if (!feed) {
+      return null;
+    }
+    const { tracks, ...rest } = feed;
+    return { ...rest, item: track ? tracks[normalizeTitle(track)] || null : null };
+  }
+}
+
+function xmlText(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+  if (!match) {
+    return '';
+  }
+  return match[1].replace(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/, '$1').trim();
+}
+
+function xmlAttr(xml, tag, attr) {
+  return xml.match(new RegExp(`<${tag}\\s[^>]*${attr}="([^"]*)"`))?.[1] || '';
+}
+
+// Directory of cached RSS feeds (*.xml); shows match the channel title, tracks an item title
+export class RssCacheLookup {
+  constructor(options) {
+    this.name = 'rss';
+    this.dir = options.dir;
+    this.feeds = null;
+    this.loadedAt = 0;
+    this.reloadMs = options.reloadMs || 10 * 60 * 1000;
+  }
+
+  _load() {
+    if (this.feeds && Date.now() - this.loadedAt < this.reloadMs) {
+      return;
+    }
+    this.feeds = new Map();
+    this.loadedAt = Date.now();
+    for (const file of fs.readdirSync(this.dir).filter(name => name.endsWith('.xml'))) {
+      try {
+        const xml = fs.readFileSync(path.join(this.dir, file), 'utf8');
+        const [channel, ...items] = xml.split(/<item[\s>]/);
+        this.feeds.set(normalizeTitle(xmlText(channel, 'title')), {
+          feedGuid: xmlText(channel, 'podcast:guid'),
+          feedUrl: xmlAttr(channel, 'atom:link', 'href'),
+          image: xmlAttr(channel, 'itunes:image', 'href') || xmlText(xmlText(channel, 'image'), 'url'),
+          link: xmlText(channel, 'link'),
+          items: items.map(item => ({
+            title: normalizeTitle(xmlText(item, 'title')),
+            guid: xmlText(item, 'guid'),
+            link: xmlText(item, 'link'),
+            image: xmlAttr(item, 'itunes:image', 'href')
+          }))
+        });
+      } catch (error) {
+        logger.warn(`Skipping unreadable RSS cache file ${file}: ${error.message}`);
+      }
+    }
+  }
+
+  async lookup(show, track) {
+    this._load();
+    const feed = this.feeds.get(normalizeTitle(show));
+    if (!feed) {
+      return null;
+    }
+    const { items, ...rest } = feed;
+    const item = track ? items.find(entry => entry.title === normalizeTitle(track)) : null;
+    return { ...rest, item: item ? { guid: item.guid, link: item.link, image: item.image } : null };
+  }
+}
+
+// Podcast Index API (or anything speaking the same protocol at baseUrl)
+export class PodcastIndexLookup {
+  constructor(options) {
+    this.name = 'podcastindex';
+    this.key = options.key;
+    this.secret = options.secret;
+    this.baseUrl = (options.baseUrl || 'https://api.podcastindex.org/api/1.0').replace(/\/$/, '');
+    this.timeout = options.timeout || 3000;
+  }
+
+  async _get(endpoint, params) {
+    const date = String(Math.floor(Date.now() / 1000));
+    const response = await fetch(`${this.baseUrl}${endpoint}?${new URLSearchParams(params)}`, {
+      headers: {
+        'User-Agent': 'LibreRelayBot',
+        'X-Auth-Key': this.key,
+        'X-Auth-Date': date,
+        Authorization: crypto.createHash('sha1').update(this.key + this.secret + date).digest('hex')
+      },
+      signal: AbortSignal.timeout(this.timeout)
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} from ${endpoint}`);
+    }
+    return await response.json();
+  }
+
+  async lookup(show, track) {
+    const { feeds = [] } = await this._get('/search/byterm', { q: show, max: 10 });
+    const feed = feeds.find(entry => normalizeTitle(entry.title) === normalizeTitle(show));
+    if (!feed) {
+      return null;
+    }
+
+    let item = null;
+    if (track) {
+      const { items = [] } = await this._get('/episodes/byfeedid', { id: feed.id, max: 200 });
+      const episode = items.find(entry => normalizeTitle(entry.title) === normalizeTitle(track));
+      if (episode) {
+        item = { guid: episode.guid, link: episode.link, image: episode.image || episode.feedImage };
+      }
+    }
+    return {
+      feedGuid: feed.podcastGuid,
+      feedUrl: feed.url,
+      image: feed.artwork || feed.image,
+      link: feed.link,
+      item
+    };
+  }
+}
+
+// Resolves show/track names to feed metadata through the configured lookups, in order.
+// Results, including misses, are cached so a live show doesn't trigger a lookup per boost.
+export class FeedEnricher {
+  constructor(options) {
+    this.lookups = options.lookups;
+    this.file = options.cacheFile;
+    this.cacheTtlMs = options.cacheTtlMs || 24 * 60 * 60 * 1000;
+    // A lookup that errored (timeout, 5xx) is retried much sooner than a real "not found"
+    this.failureTtlMs = options.failureTtlMs || 5 * 60 * 1000;
+    this.cache = new Map(Object.entries(readJson(this.file, {})));
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  // { feedGuid, feedUrl, image, link, item: { guid, link, image } | null } or null
+  async enrich(show, track) {
+    if (!show) {
+      return null;
+    }
+    const key = `${normalizeTitle(show)}\u0000${normalizeTitle(track)}`;
+    const cached = this.cache.get(key);
+    if (cached && !this._expired(cached)) {
+      this.hits++;
+      return cached.result;
+    }
+    this.misses++;
+
+    let result = null;
+    let failed = false;
+    for (const lookup of this.lookups) {
+      try {
+        result = await lookup.lookup(show, track);
+        if (result) {
+          logger.debug(`Enriched "${show}" from ${lookup.name}`);
+          break;
+        }
+      } catch (error) {
+        failed = true;
+        logger.warn(`Feed lookup via ${lookup.name} failed for "${show}": ${error.message}`);
+      }
+    }
+
+    this.cache.set(key, result || !failed ? { result, at: Date.now() } : { result, at: Date.now(), failed: true });
+    for (const [cacheKey, entry] of this.cache) {
+      if (this._expired(entry)) {
+        this.cache.delete(cacheKey);
+      }
+    }
+    writeJson(this.file, Object.fromEntries(this.cache));
+    return result;
+  }
+
+  _expired(entry) {
+    return Date.now() - entry.at >= (entry.failed ? this.failureTtlMs : this.cacheTtlMs);
+  }
+
+  // NIP-73 external ids for the feed and item, plain links, and NIP-92 imeta for the cover art
+  static tags(feed, { withImage = true } = {}) {
+    if (!feed) {
+      return [];
+    }
+    const tags = [];
+    if (feed.feedGuid) {
+      tags.push(feed.feedUrl ? ['i', `podcast:guid:${feed.feedGuid}`, feed.feedUrl] : ['i', `podcast:guid:${feed.feedGuid}`]);
+    }
+    if (feed.item?.guid) {
+      tags.push(feed.item.link ? ['i', `podcast:item:guid:${feed.item.guid}`, feed.item.link] : ['i', `podcast:item:guid:${feed.item.guid}`]);
+    }
+    for (const url of new Set([feed.feedUrl, feed.item?.link || feed.link].filter(Boolean))) {
+      tags.push(['r', url]);
+    }
+    const image = feed.item?.image || feed.image;
+    if (withImage && image) {
+      tags.push(['imeta', `url ${image}`, 'alt Cover art']);
+    }
+    return tags;
+  }
+
+  getStats() {
+    return {
+      lookups: this.lookups.map(lookup => lookup.name),
+      cached: this.cache.size,
+      hits: this.hits,
+      misses: this.misses
+    };
+  }
+}
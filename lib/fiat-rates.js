@@ -0,0 +1,129 @@
+import fs from 'fs';
+import { execFile } from 'child_process';
+import { logger } from './logger.js';
+
+const SATS_PER_BTC = 100_000_000;
+
+// Pull the BTC price out of a provider's JSON: an explicit dotted path, or the currency
+// at the top level or under "rates" ({"USD": 64000} or {"rates": {"USD": 64000}})
+function extractRate(data, currency, jsonPath) {
+  if (typeof data === 'number') {
+    return data;
+  }
+  if (jsonPath) {
+    return jsonPath.split('.').reduce((value, key) => value?.[key], data);
+  }
+  const find = (object) => object && Object.entries(object).find(([key]) => key.toUpperCase() === currency)?.[1];
+  return find(data) ?? find(data?.rates);
+}
+
+// BTC exchange rate for the "≈ $0.64" annotation. Providers:
+//   file    - JSON file kept up to date by something else (cron, another service)
+//   command - shell command printing a number or JSON
+//   http    - URL returning JSON
+// The rate is refreshed in the background; past maxAgeMs it counts as stale and isn't shown.
+export class FiatRates {
+  constructor(options) {
+    this.provider = options.provider;
+    this.source = options.source;
+    this.currency = (options.currency || 'USD').toUpperCase();
+    this.jsonPath = options.jsonPath || null;
+    this.decimals = options.decimals ?? 2;
+    this.maxAgeMs = options.maxAgeMs || 60 * 60 * 1000;
+    this.refreshMs = options.refreshMs || 5 * 60 * 1000;
+    this.timeout = options.timeout || 10000;
+
+    this.rate = null;
+    this.updatedAt = null;
+    this.lastError = null;
+    this.timer = null;
+    this.formatter = new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: this.currency,
+      minimumFractionDigits: this.decimals,
+      maximumFractionDigits: this.decimals
+    });
+  }
+
+  async start() {
+    await this.refresh();
+    this.timer = setInterval(() => this.refresh(), this.refreshMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async refresh() {
+    try {
+      const { data, updatedAt } = await this._fetch();
+      const rate = Number(extractRate(data, this.currency, this.jsonPath));
+      if (!Number.isFinite(rate) || rate <= 0) {
+        throw new Error(`no ${this.currency} rate in provider output`);
+      }
+      this.rate = rate;
+      this.updatedAt = updatedAt;
+      this.lastError = null;
+    } catch (error) {
+      this.lastError = error.message;
+      logger.warn(`Failed to refresh ${this.currency} exchange rate from ${this.provider}: ${error.message}`);
+    }
+  }
+
+  async _fetch() {
+    if (this.provider === 'file') {
+      const data = JSON.parse(fs.readFileSync(this.source, 'utf8'));
+      // Trust the file's own timestamp over its mtime, since a stuck updater may still touch it
+      const updatedAt = data.updatedAt ? new Date(data.updatedAt).getTime() : fs.statSync(this.source).mtimeMs;
+      return { data, updatedAt };
+    }
+
+    if (this.provider === 'command') {
+      const stdout = await new Promise((resolve, reject) => {
+        execFile('/bin/sh', ['-c', this.source], { timeout: this.timeout }, (error, out) => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve(out);
+          }
+        });
+      });
+      return { data: JSON.parse(stdout.trim()), updatedAt: Date.now() };
+    }
+
+    const response = await fetch(this.source, { signal: AbortSignal.timeout(this.timeout) });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return { data: await response.json(), updatedAt: Date.now() };
+  }
+
+  isStale(now = Date.now()) {
+    return this.rate === null || !(now - this.updatedAt <= this.maxAgeMs); // also stale on an unreadable timestamp
+  }
+
+  // "≈ $0.64" for the given sats, or '' when there's no fresh rate
+  format(sats) {
+    const amount = parseInt(sats);
+    if (!amount || this.isStale()) {
+      return '';
+    }
+    const value = amount * this.rate / SATS_PER_BTC;
+    const smallest = 10 ** -this.decimals;
+    return value < smallest ? `< ${this.formatter.format(smallest)}` : `≈ ${this.formatter.format(value)}`;
+  }
+
+  getStats() {
+    return {
+      provider: this.provider,
+      currency: this.currency,
+      rate: this.rate,
+      ageSeconds: this.updatedAt ? Math.floor((Date.now() - this.updatedAt) / 1000) : null,
+      stale: this.isStale(),
+      lastError: this.lastError
+    };
+  }
+}
@@ -0,0 +1,121 @@
+import fs from 'fs';
+import { logger } from './logger.js';
+
+const ACTIONS = ['post', 'drop', 'route'];
+const CONDITIONS = [
+  'minSats', 'maxSats', 'senders', 'notSenders', 'shows', 'notShows', 'words',
+  'sources', 'channels', 'parsed', 'autoBoost', 'confidence'
+];
+const DEFAULT_DECISION = { action: 'post', rule: null, relaySet: null, template: null };
+
+const lower = (values) => values.map(value => String(value).toLowerCase());
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Declarative rules applied to every boost before it is posted. The first rule whose
+// conditions all match decides; a boost no rule matches is posted as usual.
+export class ForwardingRules {
+  constructor(options = {}) {
+    this.file = options.file;
+    this.rules = [];
+    this.matched = {};
+    this.unmatched = 0;
+  }
+
+  // Throws on a malformed rules file so a typo can't silently let everything through
+  load({ relaySets = {}, templates = [] } = {}) {
+    if (!this.file || !fs.existsSync(this.file)) {
+      return;
+    }
+    const rules = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    if (!Array.isArray(rules)) {
+      throw new Error(`${this.file} must contain a JSON array of rules`);
+    }
+
+    this.rules = rules.map((rule, index) => {
+      const name = rule.name || `rule ${index + 1}`;
+      const action = rule.action || 'post';
+      if (!ACTIONS.includes(action)) {
+        throw new Error(`Rule "${name}" has unknown action "${action}" (use ${ACTIONS.join(', ')})`);
+      }
+      const unknown = Object.keys(rule.when || {}).filter(key => !CONDITIONS.includes(key));
+      if (unknown.length > 0) {
+        throw new Error(`Rule "${name}" has unknown conditions: ${unknown.join(', ')}`);
+      }
+      if (action === 'route' && !rule.relaySet && !rule.template) {
+        throw new Error(`Rule "${name}" routes but names no relaySet or template`);
+      }
+      if (rule.relaySet && !relaySets[rule.relaySet]) {
+        throw new Error(`Rule "${name}" uses unknown relay set "${rule.relaySet}"`);
+      }
+      if (rule.template && !templates.includes(rule.template.toLowerCase())) {
+        throw new Error(`Rule "${name}" uses unknown template "${rule.template}"`);
+      }
+      this.matched[name] = 0;
+      return { name, action, when: this._compile(rule.when || {}), relaySet: rule.relaySet || null, template: rule.template || null };
+    });
+    logger.info(`🧭 Loaded ${this.rules.length} forwarding rule(s) from ${this.file}`);
+  }
+
+  _compile(when) {
+    const conditions = { ...when };
+    for (const key of ['senders', 'notSenders', 'shows', 'notShows', 'sources', 'channels', 'confidence']) {
+      if (conditions[key] !== undefined) {
+        conditions[key] = lower([].concat(conditions[key]));
+      }
+    }
+    if (conditions.words !== undefined) {
+      const words = [].concat(conditions.words).map(escapeRegex).join('|');
+      conditions.words = new RegExp(`(^|\\W)(${words})(\\W|$)`, 'iu');
+    }
+    return conditions;
+  }
+
+  _matches(when, boost, context) {
+    const amount = boost?.amount ?? null;
+    const sender = (boost?.sender || '').toLowerCase();
+    const show = (boost?.show || '').toLowerCase();
+
+    if (when.minSats !== undefined && !(amount >= when.minSats)) return false;
+    if (when.maxSats !== undefined && !(amount !== null && amount <= when.maxSats)) return false;
+    if (when.senders && !when.senders.includes(sender)) return false;
+    if (when.notSenders && when.notSenders.includes(sender)) return false;
+    if (when.shows && !when.shows.some(name => show.includes(name))) return false;
+    if (when.notShows && when.notShows.some(name => show.includes(name))) return false;
+    if (when.words && !when.words.test(boost ? boost.message : context.raw || '')) return false;
+    if (when.sources && !when.sources.includes((context.source || '').toLowerCase())) return false;
+    if (when.channels && !when.channels.includes((context.channel || '').toLowerCase())) return false;
+    if (when.parsed !== undefined && when.parsed !== Boolean(boost)) return false;
+    if (when.autoBoost !== undefined && when.autoBoost !== Boolean(boost?.autoBoost)) return false;
+    if (when.confidence && !when.confidence.includes(boost?.confidence || '')) return false;
+    return true;
+  }
+
+  // { action, rule, relaySet, template }; pass { record: false } to look a decision up again
+  // without logging or counting it a second time
+  evaluate(boost, context = {}, { record = true } = {}) {
+    const rule = this.rules.find(candidate => this._matches(candidate.when, boost, context));
+    const decision = rule
+      ? { action: rule.action, rule: rule.name, relaySet: rule.relaySet, template: rule.template }
+      : DEFAULT_DECISION;
+
+    if (record) {
+      if (rule) {
+        this.matched[rule.name]++;
+      } else {
+        this.unmatched++;
+      }
+      const what = boost ? `${boost.amount ?? '?'} sats from ${boost.sender || 'unknown'}` : 'unparsed line';
+      const route = [decision.relaySet && `relays ${decision.relaySet}`, decision.template && `template ${decision.template}`]
+        .filter(Boolean).join(', ');
+      logger.info(`🧭 ${what}: ${decision.action}${route ? ` (${route})` : ''} by ${rule ? `rule "${rule.name}"` : 'default'}`);
+    }
+    return decision;
+  }
+
+  getStats() {
+    return {
+      rules: this.rules.map(rule => ({ name: rule.name, action: rule.action, matched: this.matched[rule.name] })),
+      unmatched: this.unmatched
+    };
+  }
+}
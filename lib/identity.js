@@ -0,0 +1,84 @@
+import crypto from 'crypto';
+import { logger } from './logger.js';
+import { readJson, writeJson } from './storage.js';
+
+const PROFILE_KIND = 0;
+const RELAY_LIST_KIND = 10002;
+
+// Announces the bot's kind-0 profile and NIP-65 relay list, skipping anything unchanged since last time
+export class IdentityPublisher {
+  constructor(nostrClient, options) {
+    this.nostrClient = nostrClient;
+    this.profile = options.profile;
+    this.readRelays = options.readRelays;
+    this.writeRelays = options.writeRelays;
+    this.publishRelayList = options.publishRelayList !== false;
+    this.stateFile = options.stateFile;
+    this.state = readJson(this.stateFile, {});
+  }
+
+  async publish() {
+    const templates = {};
+
+    const profile = this._profileContent();
+    if (profile) {
+      templates.profile = { kind: PROFILE_KIND, content: JSON.stringify(profile), tags: [] };
+    }
+    if (this.publishRelayList) {
+      templates.relayList = { kind: RELAY_LIST_KIND, content: '', tags: this._relayListTags() };
+    }
+
+    for (const [name, template] of Object.entries(templates)) {
+      const hash = this._hash(template);
+      if (this.state[name]?.hash === hash) {
+        logger.debug(`Nostr ${name} unchanged, not republishing`);
+        continue;
+      }
+
+      const result = await this.nostrClient.publishEvent(template);
+      logger.info(`🪪 Published Nostr ${name} (${result.eventId})`);
+
+      // Test mode never reaches a relay, so don't remember it as published
+      if (!this.nostrClient.testMode) {
+        this.state[name] = { hash, eventId: result.eventId, event: result.event, publishedAt: new Date().toISOString() };
+        writeJson(this.stateFile, this.state);
+      }
+    }
+  }
+
+  // The profile and relay list last published, for serving them again after a restart
+  publishedEvents() {
+    return Object.values(this.state).map(entry => entry.event).filter(Boolean);
+  }
+
+  _profileContent() {
+    const content = {};
+    for (const field of ['name', 'display_name', 'about', 'picture', 'banner', 'website', 'nip05', 'lud16']) {
+      if (this.profile[field]) {
+        content[field] = this.profile[field];
+      }
+    }
+    // Never overwrite an existing profile with an empty one
+    return content.name ? content : null;
+  }
+
+  _relayListTags() {
+    const read = new Set(this.readRelays);
+    const write = new Set(this.writeRelays);
+    const tags = [];
+    for (const url of new Set([...this.writeRelays, ...this.readRelays])) {
+      if (read.has(url) && write.has(url)) {
+        tags.push(['r', url]);
+      } else {
+        tags.push(['r', url, write.has(url) ? 'write' : 'read']);
+      }
+    }
+    return tags;
+  }
+
+  _hash(template) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([template.kind, template.content, template.tags]))
+      .digest('hex');
+  }
+}
@@ -3,8 +3,13 @@ import { logger } from './logger.js';
 import { exec } from 'child_process';
 import { promisify } from 'util';
 import net from 'net';
+import fs from 'fs';
 
 const execAsync = promisify(exec);
+const NICKSERV_TIMEOUT = 30000;
+const NICKSERV_SUCCESS = /you are now identified|you are now logged in|password accepted/i;
+const NICKSERV_FAILURE = /invalid password|incorrect password|password incorrect|isn't registered|is not registered|authentication failed/i;
+const GHOST_NICK_DELAY = 5000; // time for services to free the nick before we ask for it
 
 export class IRCClient {
   constructor(config) {
@@ -17,6 +22,27 @@ export class IRCClient {
     this.keepAliveInterval = null;
     this.reconnecting = false;
     this.zncHealthInterval = null;
+    this.onMaxReconnectAttempts = null; // Optional callback for operator alerting
+    this.onAuthFailed = null; // Optional callback, called with the failure message
+    this.auth = this._initialAuthState();
+    this.nickServTimer = null;
+    this.nickRecoveryInterval = null;
+    this.ghostTimer = null;
+  }
+
+  // Auth is needed if we have services credentials; a bare server PASS doesn't hold up joins
+  _authRequired() {
+    return Boolean(this.config.saslMechanism || this.config.accountPassword);
+  }
+
+  _initialAuthState() {
+    return {
+      status: this._authRequired() ? 'pending' : 'none',
+      method: null,
+      account: this.config.account || this.config.nickname,
+      error: null,
+      updatedAt: null
+    };
   }
 
   async connect() {
@@ -33,17 +59,27 @@ export class IRCClient {
       port: port,
       secure: secure,
       channels: this.config.channels,
-      nickname: this.config.nickname
+      nickname: this.config.nickname,
+      serverPassword: Boolean(this.config.password),
+      sasl: this.config.saslMechanism || false,
+      nickServ: Boolean(this.config.accountPassword && this.config.nickServ !== false)
     });
 
+    this.auth = this._initialAuthState();
+    this.saslFailed = false;
+    this.capabilities = [];
+    this.nickAttempt = 0;
+
     this.client = new irc.Client(server, this.config.nickname, {
       port: port,
-      secure: secure,
+      secure: secure && this.config.saslMechanism === 'EXTERNAL'
+        ? { cert: fs.readFileSync(this.config.clientCert), key: fs.readFileSync(this.config.clientKey) }
+        : secure,
       selfSigned: false,
       certExpired: false,
       autoRejoin: true,
-      autoConnect: true,
-      channels: this.config.channels,
+      autoConnect: false,
+      channels: [], // joined by _joinChannels once authentication allows it
       realName: this.config.realName || 'LibreRelayBot Reader Bot',
       userName: this.config.userName || 'boost_reader',
       retryCount: 0, // Disable built-in retry to avoid conflicts
@@ -57,25 +93,310 @@ export class IRCClient {
       debug: false
     });
 
+    // PASS and CAP have to go out before the library's NICK/USER
+    const connectionHandler = this.client._connectionHandler;
+    const ircClient = this;
+    this.client._connectionHandler = function () {
+      ircClient._beginAuth();
+      connectionHandler.call(this);
+    };
+
     this.setupEventHandlers();
+    this.client.connect();
+  }
+
+  _beginAuth() {
+    if (this.config.password) {
+      this.client.send('PASS', this.config.password);
+    }
+    if (this.config.saslMechanism) {
+      this.client.send('CAP', 'LS', '302');
+    }
+  }
+
+  // SASL (IRCv3 CAP + AUTHENTICATE). node-irc 0.5 has its own PLAIN-only handler that
+  // builds credentials from the nick and server password, so messages handled here are
+  // renamed before the library sees them.
+  _handleAuthMessage(message) {
+    const consume = () => { message.command = `${message.command}:handled`; };
+    const args = message.args || [];
+
+    switch (message.command) {
+      case 'CAP': {
+        const subcommand = args[1];
+        const more = args[2] === '*' && args.length > 3;
+        const list = (more ? args[3] : args[2]) || '';
+        if (subcommand === 'LS') {
+          this.capabilities.push(...list.trim().split(/\s+/).filter(Boolean));
+          if (!more) {
+            this._requestSasl();
+          }
+        } else if (subcommand === 'ACK' && /(^|\s)sasl(\s|$)/.test(list)) {
+          this.auth.method = `sasl ${this.config.saslMechanism.toLowerCase()}`;
+          this.client.send('AUTHENTICATE', this.config.saslMechanism);
+        } else if (subcommand === 'NAK') {
+          this._saslFailed('server refused the sasl capability');
+        }
+        consume();
+        break;
+      }
+      case 'AUTHENTICATE':
+        if (args[0] === '+') {
+          this.client.send('AUTHENTICATE', this._saslPayload());
+        }
+        consume();
+        break;
+      case '900': // RPL_LOGGEDIN, sent for SASL and by most services on IDENTIFY
+        if (this.auth.status === 'pending' && this.auth.method) {
+          this._authSucceeded(this.auth.method, args[2]);
+        }
+        break;
+      case '903': // RPL_SASLSUCCESS
+        if (this.auth.status === 'pending') {
+          this._authSucceeded(this.auth.method, this.auth.account);
+        }
+        this.client.send('CAP', 'END');
+        consume();
+        break;
+      case '902': // ERR_NICKLOCKED
+      case '904': // ERR_SASLFAIL
+      case '905': // ERR_SASLTOOLONG
+      case '906': // ERR_SASLABORTED
+      case '908': // RPL_SASLMECHS
+        this._saslFailed(args[args.length - 1] || `SASL failed (${message.command})`);
+        consume();
+        break;
+      case 'err_passwdmismatch':
+        this._authFailed('server password rejected');
+        break;
+    }
+  }
+
+  _requestSasl() {
+    const sasl = this.capabilities.find(cap => cap === 'sasl' || cap.startsWith('sasl='));
+    const mechanisms = sasl?.includes('=') ? sasl.split('=')[1].toUpperCase().split(',') : null;
+    if (!sasl) {
+      this._saslFailed('server does not offer SASL');
+    } else if (mechanisms && !mechanisms.includes(this.config.saslMechanism)) {
+      this._saslFailed(`server does not support SASL ${this.config.saslMechanism} (offers ${mechanisms.join(', ')})`);
+    } else {
+      this.client.send('CAP', 'REQ', 'sasl');
+    }
+  }
+
+  _saslPayload() {
+    if (this.config.saslMechanism === 'EXTERNAL') {
+      return '+'; // identity comes from the client certificate
+    }
+    const account = this.auth.account;
+    return Buffer.from(`${account}\0${account}\0${this.config.accountPassword}`).toString('base64');
+  }
+
+  // Finish registration without SASL; NickServ gets a go once registered, if configured
+  _saslFailed(reason) {
+    if (this.saslFailed) {
+      return;
+    }
+    this.saslFailed = true;
+    logger.warn(`IRC SASL authentication failed: ${reason}`);
+    this.auth.error = reason;
+    this.client.send('CAP', 'END');
+    if (!this._nickServEnabled()) {
+      this._authFailed(`SASL: ${reason}`);
+    }
+  }
+
+  _nickServEnabled() {
+    return Boolean(this.config.accountPassword) && this.config.nickServ !== false;
+  }
+
+  _identifyWithNickServ() {
+    logger.info(`Identifying to NickServ as ${this.auth.account}`);
+    this.auth.method = 'nickserv';
+    this.client.say('NickServ', `IDENTIFY ${this.auth.account} ${this.config.accountPassword}`);
+    this.nickServTimer = setTimeout(() => {
+      this._authFailed('no reply from NickServ');
+    }, NICKSERV_TIMEOUT);
+  }
+
+  _handleNickServNotice(text) {
+    if (this.auth.status !== 'pending' || this.auth.method !== 'nickserv') {
+      return;
+    }
+    if (NICKSERV_SUCCESS.test(text)) {
+      this._authSucceeded('nickserv', this.auth.account);
+    } else if (NICKSERV_FAILURE.test(text)) {
+      this._authFailed(`NickServ: ${text}`);
+    }
+  }
+
+  _authSucceeded(method, account) {
+    this._clearNickServTimer();
+    const wasPending = this.auth.status === 'pending';
+    this.auth = { ...this.auth, status: 'authenticated', method, account: account || this.auth.account, error: null, updatedAt: new Date().toISOString() };
+    logger.info(`Authenticated to IRC as ${this.auth.account} via ${method}`);
+    // With SASL this happens before registration; the registered handler joins then
+    if (wasPending && this.isConnected) {
+      this._joinChannels();
+    }
+  }
+
+  _authFailed(reason) {
+    this._clearNickServTimer();
+    if (this.auth.status === 'failed') {
+      return;
+    }
+    this.auth = { ...this.auth, status: 'failed', error: reason, updatedAt: new Date().toISOString() };
+    logger.error(`IRC authentication failed, not joining channels: ${reason}`);
+    if (this.onAuthFailed) {
+      this.onAuthFailed(reason);
+    }
+  }
+
+  _clearNickServTimer() {
+    if (this.nickServTimer) {
+      clearTimeout(this.nickServTimer);
+      this.nickServTimer = null;
+    }
+  }
+
+  _joinChannels() {
+    for (const channel of this.config.channels) {
+      this.client.join(channel);
+    }
+  }
+
+  // Called once registered: join now, identify first, or stay out if auth failed
+  _afterRegistration() {
+    if (this.auth.status === 'none' || this.auth.status === 'authenticated') {
+      this._joinChannels();
+    } else if (this.auth.status === 'pending' && this._nickServEnabled()) {
+      this._identifyWithNickServ();
+    } else if (this.auth.status === 'pending') {
+      this._authFailed('SASL did not complete before registration');
+    }
+  }
+
+  // Nicks to try during registration: the configured one, the alternates, then numbered ones
+  _nextNick() {
+    const candidates = [this.config.nickname, ...(this.config.altNicks || [])];
+    this.nickAttempt++;
+    return candidates[this.nickAttempt] || `${this.config.nickname}${this.nickAttempt - candidates.length + 1}`;
+  }
+
+  // ERR_NICKNAMEINUSE / ERR_UNAVAILRESOURCE. node-irc would append a counter to the nick
+  // on its own, so these are handled here instead.
+  _handleNickMessage(message) {
+    if (message.command !== 'err_nicknameinuse' && message.command !== '437') {
+      return;
+    }
+    const nick = message.args[1];
+    // Also keep node-irc from emitting it as an 'error'
+    message.command = `${message.command}:handled`;
+    message.commandType = 'normal';
+    if (this.isConnected) {
+      // A recovery attempt; keep the nick we have and try again later
+      logger.debug(`Nick ${nick} is still in use`);
+      return;
+    }
+    const next = this._nextNick();
+    logger.warn(`IRC nick ${nick} is in use, trying ${next}`);
+    this.client.send('NICK', next);
+  }
+
+  currentNick() {
+    return this.client?.nick || null;
+  }
+
+  _startNickRecovery() {
+    this._stopNickRecovery();
+    if (this.currentNick() === this.config.nickname) {
+      return;
+    }
+    logger.warn(`Registered as ${this.currentNick()}, ${this.config.nickname} is taken`);
+    this._regainNick();
+    const minutes = this.config.nickRecoveryMinutes ?? 5;
+    if (minutes > 0) {
+      this.nickRecoveryInterval = setInterval(() => this._regainNick(), minutes * 60 * 1000);
+    }
+  }
+
+  _stopNickRecovery() {
+    if (this.nickRecoveryInterval) {
+      clearInterval(this.nickRecoveryInterval);
+      this.nickRecoveryInterval = null;
+    }
+    if (this.ghostTimer) {
+      clearTimeout(this.ghostTimer);
+      this.ghostTimer = null;
+    }
+  }
+
+  // With services credentials, have NickServ disconnect whoever holds the nick (usually our
+  // own ghost session after a crash), then ask for it; otherwise just ask
+  _regainNick() {
+    if (!this.isConnected || this.ghostTimer || this.currentNick() === this.config.nickname) {
+      return;
+    }
+    const primary = this.config.nickname;
+    if (this._nickServEnabled()) {
+      const command = this.config.ghostCommand || 'GHOST';
+      logger.info(`Asking NickServ to ${command} ${primary}`);
+      this.client.say('NickServ', `${command} ${primary} ${this.config.accountPassword}`);
+      this.ghostTimer = setTimeout(() => {
+        this.ghostTimer = null;
+        if (this.isConnected) {
+          this.client.send('NICK', primary);
+        }
+      }, GHOST_NICK_DELAY);
+    } else {
+      this.client.send('NICK', primary);
+    }
   }
 
   setupEventHandlers() {
+    // Ahead of the library's own raw handler, see _handleAuthMessage and _handleNickMessage
+    this.client.prependListener('raw', (message) => {
+      this._handleAuthMessage(message);
+      this._handleNickMessage(message);
+    });
+
+    this.client.on('nick', (oldNick, newNick) => {
+      if (newNick === this.config.nickname && oldNick !== newNick && this.client.nick === newNick) {
+        logger.info(`Regained IRC nick ${newNick}`);
+        this._stopNickRecovery();
+      }
+    });
+
+    this.client.on('notice', (from, to, text) => {
+      if (from && from.toLowerCase() === 'nickserv') {
+        this._handleNickServNotice(text);
+      }
+    });
+
     this.client.on('registered', () => {
       logger.info('Successfully registered with IRC server');
       this.isConnected = true;
       this.reconnectAttempts = 0;
       this.startKeepAlive();
+      this._afterRegistration();
+      this._startNickRecovery();
       // this.startZncHealthCheck(); // Not needed for direct IRC connection
     });
 
     this.client.on('join', (channel, nick) => {
-      if (nick === this.config.nickname) {
+      if (nick === this.currentNick()) {
         logger.info(`Joined IRC channel: ${channel}`);
       }
     });
 
-    this.client.on('error', (error) => {
+    // node-irc emits 'error' for error replies from the server, which leave the connection up;
+    // socket failures arrive as 'netError'
+    this.client.on('error', (message) => {
+      logger.warn(`IRC server error reply ${message.command}: ${(message.args || []).slice(1).join(' ')}`);
+    });
+
+    this.client.on('netError', (error) => {
       logger.error('IRC connection error:', error);
       this.isConnected = false;
     });
@@ -84,6 +405,7 @@ export class IRCClient {
       logger.warn('IRC connection closed');
       this.isConnected = false;
       this.stopKeepAlive();
+      this._stopNickRecovery();
       // Only attempt reconnect on close (not disconnect)
       this.attemptReconnect();
     });
@@ -133,6 +455,9 @@ export class IRCClient {
       logger.error('Max IRC reconnection attempts reached');
       // Stop the keepalive interval to prevent spam
       this.stopKeepAlive();
+      if (this.onMaxReconnectAttempts) {
+        this.onMaxReconnectAttempts(this.reconnectAttempts);
+      }
     }
   }
 
@@ -272,6 +597,8 @@ export class IRCClient {
 
   disconnect() {
     this.stopKeepAlive();
+    this._clearNickServTimer();
+    this._stopNickRecovery();
     this.stopZncHealthCheck();
     this.reconnecting = false; // Stop any pending reconnections
     if (this.client) {
@@ -303,7 +630,10 @@ export class IRCClient {
       connectionActive: this.isConnectionActive(),
       reconnectAttempts: this.reconnectAttempts,
       channels: this.config.channels,
-      server: this.config.server
+      server: this.config.server,
+      nick: this.currentNick(),
+      primaryNick: this.config.nickname,
+      auth: this.auth
     };
   }
 
@@ -0,0 +1,175 @@
+import crypto from 'crypto';
+import { logger } from './logger.js';
+import { readJson, writeJson } from './storage.js';
+
+const EDITABLE_FIELDS = ['message', 'show', 'track'];
+
+// Holds suspicious boosts (or every boost in strict mode) until someone approves, edits or
+// rejects them. Items nobody reviews are approved or expired once they reach the timeout.
+export class ModerationQueue {
+  constructor(options) {
+    this.file = options.file;
+    this.strict = options.strict || false;
+    this.timeoutMs = options.timeoutMs || 60 * 60 * 1000;
+    this.onTimeout = options.onTimeout === 'approve' ? 'approve' : 'expire';
+    this.words = (options.words || []).map(word => word.toLowerCase());
+    this.maxLength = options.maxLength || 200;
+    this.release = options.release; // async (item) => void, posts an approved item
+    this.checkInterval = options.checkInterval || 30000;
+
+    this.items = readJson(this.file, []);
+    this.timer = null;
+    this.counts = { held: 0, approved: 0, rejected: 0, expired: 0, autoApproved: 0 };
+  }
+
+  start() {
+    if (this.items.length > 0) {
+      logger.info(`🛡️ ${this.items.length} boost(s) waiting for moderation`);
+    }
+    this.timer = setInterval(() => {
+      this.processTimeouts().catch(error => {
+        logger.error('Error processing moderation timeouts:', error);
+      });
+    }, this.checkInterval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Reasons to hold the boost; empty if it can go straight out
+  reasons(boost, raw) {
+    if (this.strict) {
+      return ['strict mode'];
+    }
+    const reasons = [];
+    // Parsers from the parsers file may leave fields out
+    const text = boost ? [boost.message, boost.sender, boost.show, boost.track].map(field => field || '').join(' ') : raw;
+    const message = (boost ? boost.message : raw) || '';
+
+    if (!boost || (boost.confidence && boost.confidence !== 'high')) {
+      reasons.push('could not be parsed reliably');
+    }
+    if (/https?:\/\/|www\.|\b[\w-]+\.(com|net|org|io|xyz|ru)\b/i.test(text)) {
+      reasons.push('contains a link');
+    }
+    if (/nostr:|npub1|nevent1|note1/i.test(text)) {
+      reasons.push('contains a Nostr reference');
+    }
+    if (message.length > this.maxLength) {
+      reasons.push(`message longer than ${this.maxLength} characters`);
+    }
+    const letters = message.replace(/[^A-Za-z]/g, '');
+    if (letters.length >= 12 && letters === letters.toUpperCase()) {
+      reasons.push('all caps');
+    }
+    if (/(.)\1{9,}/u.test(message)) {
+      reasons.push('repeated characters');
+    }
+    const lowered = text.toLowerCase();
+    const words = this.words.filter(word => lowered.includes(word));
+    if (words.length > 0) {
+      reasons.push(`contains watched words: ${words.join(', ')}`);
+    }
+    return reasons;
+  }
+
+  hold(message, context, boost, reasons) {
+    const item = {
+      id: crypto.randomBytes(6).toString('hex'),
+      message,
+      source: context.source,
+      channel: context.channel,
+      boost: boost ? { amount: boost.amount, sender: boost.sender, show: boost.show, track: boost.track, message: boost.message } : null,
+      edits: {},
+      reasons,
+      heldAt: Date.now()
+    };
+    this.items.push(item);
+    this.counts.held++;
+    this._save();
+    logger.warn(`🛡️ Holding boost ${item.id} for moderation: ${reasons.join('; ')}`);
+    return item;
+  }
+
+  list() {
+    return this.items.map(item => ({ ...item, expiresAt: new Date(item.heldAt + this.timeoutMs).toISOString() }));
+  }
+
+  get(id) {
+    return this.items.find(item => item.id === id) || null;
+  }
+
+  // Only the listener-supplied fields can be changed; throws on anything else
+  edit(id, changes) {
+    const item = this.get(id);
+    if (!item) {
+      return null;
+    }
+    const entries = Object.entries(changes || {});
+    // A line that didn't parse has no fields; its message edit replaces the whole line
+    const editable = item.boost ? EDITABLE_FIELDS : ['message'];
+    if (entries.some(([field, value]) => !editable.includes(field) || typeof value !== 'string')) {
+      throw new Error(`Only ${editable.join(', ')} can be edited${item.boost ? '' : ' on a line that could not be parsed'}, as strings`);
+    }
+    Object.assign(item.edits, Object.fromEntries(entries));
+    this._save();
+    return item;
+  }
+
+  async approve(id, changes = null, counter = 'approved') {
+    const item = changes ? this.edit(id, changes) : this.get(id);
+    if (!item) {
+      return null;
+    }
+    // Remove first so a slow release can't be approved twice
+    this._remove(id);
+    this.counts[counter]++;
+    await this.release(item);
+    return item;
+  }
+
+  reject(id, counter = 'rejected') {
+    const item = this.get(id);
+    if (!item) {
+      return null;
+    }
+    this._remove(id);
+    this.counts[counter]++;
+    logger.info(`🛡️ Boost ${id} ${counter === 'expired' ? 'expired unreviewed' : 'rejected'}`);
+    return item;
+  }
+
+  async processTimeouts(now = Date.now()) {
+    for (const item of this.items.filter(entry => now - entry.heldAt >= this.timeoutMs)) {
+      if (this.onTimeout === 'approve') {
+        logger.info(`🛡️ Auto-approving boost ${item.id} after the moderation timeout`);
+        await this.approve(item.id, null, 'autoApproved');
+      } else {
+        this.reject(item.id, 'expired');
+      }
+    }
+  }
+
+  _remove(id) {
+    this.items = this.items.filter(item => item.id !== id);
+    this._save();
+  }
+
+  _save() {
+    writeJson(this.file, this.items);
+  }
+
+  getStats() {
+    return {
+      mode: this.strict ? 'strict' : 'heuristic',
+      pending: this.items.length,
+      onTimeout: this.onTimeout,
+      timeoutMinutes: Math.round(this.timeoutMs / 60000),
+      ...this.counts
+    };
+  }
+}
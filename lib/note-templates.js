@@ -0,0 +1,175 @@
+import fs from 'fs';
+import { nip19 } from 'nostr-tools';
+import { logger } from './logger.js';
+
+const FIELDS = ['amount', 'sender', 'senderName', 'npub', 'app', 'fiat', 'link', 'image', 'show', 'track', 'message', 'parser', 'raw', 'channel', 'footer'];
+
+export const DEFAULT_TEMPLATES = {
+  boost: '{{#amount}}{{#sender}}⚡ {{amount}} sats{{#fiat}} ({{fiat}}){{/fiat}} from {{sender}}\n\n{{/sender}}{{/amount}}' +
+    '{{#show}}🎵 {{show}}\n\n{{/show}}' +
+    '{{#track}}🎧 {{track}}\n\n{{/track}}' +
+    '{{#message}}💬 {{message}}\n\n{{/message}}' +
+    '{{#link}}🔗 {{link}}\n\n{{/link}}' +
+    '{{#image}}{{image}}\n\n{{/image}}' +
+    '{{footer}}',
+  unparsed: '{{raw}}\n\n{{footer}}',
+  footer: '#V4V\nhttps://v4vmusic.com'
+};
+
+// Lines every template is rendered against at startup, covering the optional fields
+const SAMPLE_LINES = [
+  '100 sats from ericpp via v4v-music | 119th Edition - Live - Christmas Special | "Jingle Bells" | "Merry Christmas!"',
+  '2100 sats from someone via v4v-music | Some Show | None | No message',
+  '50 sats from anon via v4v-music | None | None | ',
+  'a line no parser understands'
+];
+
+// {{field}} placeholders, {{#field}}...{{/field}} shown only when set, {{^field}}...{{/field}} only when empty
+function compile(template) {
+  const root = { children: [] };
+  const stack = [root];
+  const pattern = /\{\{([#^/]?)(\w+)\}\}/g;
+  let last = 0;
+  let match;
+
+  while ((match = pattern.exec(template)) !== null) {
+    const current = stack[stack.length - 1];
+    if (match.index > last) {
+      current.children.push(template.slice(last, match.index));
+    }
+    last = pattern.lastIndex;
+
+    const [, type, name] = match;
+    if (!FIELDS.includes(name)) {
+      throw new Error(`unknown placeholder {{${type}${name}}}`);
+    }
+    if (type === '#' || type === '^') {
+      const section = { name, inverted: type === '^', children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else if (type === '/') {
+      if (stack.length === 1 || current.name !== name) {
+        throw new Error(`unexpected {{/${name}}}`);
+      }
+      stack.pop();
+    } else {
+      current.children.push({ field: name });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`unclosed section {{#${stack[stack.length - 1].name}}}`);
+  }
+  if (last < template.length) {
+    root.children.push(template.slice(last));
+  }
+  return root;
+}
+
+function render(node, values) {
+  return node.children.map(child => {
+    if (typeof child === 'string') {
+      return child;
+    }
+    if (child.field) {
+      return values[child.field] ?? '';
+    }
+    const set = Boolean(values[child.name]);
+    return set !== child.inverted ? render(child, values) : '';
+  }).join('');
+}
+
+// Note layouts from an optional JSON file: a "default" set plus per-channel and named overrides,
+// each with "boost", "unparsed" and "footer" entries. Broken templates fall back to the built-in ones.
+export class NoteTemplates {
+  constructor(options = {}) {
+    this.file = options.file;
+    this.sets = { default: this._compileSet('default', {}) };
+    this.samples = SAMPLE_LINES;
+  }
+
+  load() {
+    if (!this.file || !fs.existsSync(this.file)) {
+      return;
+    }
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      logger.error(`Note templates in ${this.file} are not valid JSON, using the built-in layout:`, error.message);
+      return;
+    }
+
+    this.sets.default = this._compileSet('default', config.default || {});
+    for (const [channel, set] of Object.entries(config.channels || {})) {
+      this.sets[channel.toLowerCase()] = this._compileSet(channel, { ...config.default, ...set });
+    }
+    // Named sets are picked by forwarding rules rather than by channel
+    for (const [name, set] of Object.entries(config.templates || {})) {
+      this.sets[name.toLowerCase()] = this._compileSet(name, { ...config.default, ...set });
+    }
+    this.samples = [...SAMPLE_LINES, ...(config.samples || [])];
+    logger.info(`📝 Loaded note templates from ${this.file} (${Object.keys(this.sets).length - 1} override(s))`);
+  }
+
+  _compileSet(name, set) {
+    const compiled = {};
+    for (const key of ['boost', 'unparsed', 'footer']) {
+      try {
+        compiled[key] = compile(set[key] ?? DEFAULT_TEMPLATES[key]);
+      } catch (error) {
+        logger.error(`Template "${key}" for ${name} is invalid (${error.message}), using the built-in one`);
+        compiled[key] = compile(DEFAULT_TEMPLATES[key]);
+      }
+    }
+    return compiled;
+  }
+
+  // Render each template set against the sample lines; a set that throws or renders
+  // an empty note is replaced by the built-in layout
+  validate(parse) {
+    for (const name of Object.keys(this.sets)) {
+      try {
+        for (const line of this.samples) {
+          const note = this.format(line, parse(line), name === 'default' ? null : name);
+          if (!note.trim()) {
+            throw new Error(`renders an empty note for "${line}"`);
+          }
+        }
+      } catch (error) {
+        logger.error(`Note templates for ${name} failed validation (${error.message}), using the built-in layout`);
+        this.sets[name] = this._compileSet(name, {});
+      }
+    }
+  }
+
+  footer(channel = null) {
+    return render(this._set(channel).footer, {});
+  }
+
+  // extra holds values that aren't part of the parsed boost, such as the fiat estimate or feed links
+  format(raw, boost, channel = null, extra = {}) {
+    const set = this._set(channel);
+    const npub = boost?.senderPubkey ? nip19.npubEncode(boost.senderPubkey) : '';
+    const values = {
+      ...extra,
+      ...boost,
+      npub,
+      senderName: boost?.sender || '',
+      // Known senders get a nostr: mention so clients notify them
+      sender: npub ? `nostr:${npub}` : boost?.sender || '',
+      raw,
+      channel: channel || '',
+      footer: render(set.footer, {})
+    };
+    return render(boost ? set.boost : set.unparsed, values);
+  }
+
+  names() {
+    return Object.keys(this.sets);
+  }
+
+  _set(channel) {
+    return (channel && this.sets[channel.toLowerCase()]) || this.sets.default;
+  }
+}
@@ -0,0 +1,203 @@
+import { logger } from './logger.js';
+import { readJson, writeJson } from './storage.js';
+
+// Disk-backed queue of signed events that keeps retrying relays until enough of them accept
+export class Outbox {
+  constructor(options) {
+    this.file = options.file;
+    this.relays = options.relays;
+    this.relaySets = options.relaySets || {}; // name -> urls, for events routed away from the default relays
+    this.publish = options.publish; // (url, event) => Promise
+    this.requiredAccepts = options.minAccepted || 1;
+    this.minAccepted = this._requiredFor(this.relays.length);
+    this.baseRetryDelay = options.baseRetryDelay || 5000;
+    this.maxRetryDelay = options.maxRetryDelay || 600000; // 10 minutes
+    this.maxAge = options.maxAge || 24 * 60 * 60 * 1000; // give up after a day
+    this.checkInterval = options.checkInterval || 5000;
+
+    this.entries = new Map();
+    this.inFlight = new Set();
+    this.timer = null;
+    this.delivered = 0;
+    this.expired = 0;
+  }
+
+  load() {
+    const saved = readJson(this.file, []);
+    for (const entry of saved) {
+      // Follow relay config changes made since the event was queued
+      const relays = {};
+      for (const url of this._relaysFor(entry.relaySet)) {
+        relays[url] = entry.relays[url] || this._newRelayState();
+      }
+      entry.relays = relays;
+      this.entries.set(entry.id, entry);
+    }
+    if (this.entries.size > 0) {
+      logger.info(`📬 Resuming ${this.entries.size} pending Nostr event(s) from outbox`);
+    }
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.processDue().catch(error => {
+        logger.error('Error processing outbox:', error);
+      });
+    }, this.checkInterval);
+    this.processDue().catch(error => {
+      logger.error('Error processing outbox:', error);
+    });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this._save();
+  }
+
+  async add(event, relaySet = null) {
+    const entry = {
+      id: event.id,
+      event,
+      relaySet,
+      createdAt: Date.now(),
+      relays: Object.fromEntries(this._relaysFor(relaySet).map(url => [url, this._newRelayState()]))
+    };
+    this.entries.set(entry.id, entry);
+    this._save();
+
+    return await this._attempt(entry);
+  }
+
+  async processDue() {
+    const now = Date.now();
+    for (const entry of [...this.entries.values()]) {
+      if (this.inFlight.has(entry.id)) {
+        continue;
+      }
+
+      if (now - entry.createdAt > this.maxAge) {
+        this.entries.delete(entry.id);
+        this.expired++;
+        logger.error(`❌ Giving up on Nostr event ${entry.id} after ${Math.round(this.maxAge / 3600000)}h in outbox`);
+        this._save();
+        continue;
+      }
+
+      const due = this._pendingRelays(entry).filter(url => entry.relays[url].nextAttempt <= now);
+      if (due.length > 0) {
+        await this._attempt(entry, due);
+      }
+    }
+  }
+
+  async _attempt(entry, urls = this._pendingRelays(entry)) {
+    this.inFlight.add(entry.id);
+    try {
+      const results = await Promise.allSettled(
+        urls.map(url => this.publish(url, entry.event))
+      );
+
+      let published = 0;
+      let failed = 0;
+      results.forEach((result, i) => {
+        const state = entry.relays[urls[i]];
+        state.attempts++;
+        if (result.status === 'fulfilled') {
+          state.accepted = true;
+          state.lastError = null;
+          published++;
+        } else {
+          const delay = Math.min(
+            this.baseRetryDelay * Math.pow(2, state.attempts - 1),
+            this.maxRetryDelay
+          );
+          state.nextAttempt = Date.now() + delay;
+          state.lastError = result.reason?.message || String(result.reason);
+          failed++;
+        }
+      });
+
+      const accepted = this._acceptedCount(entry);
+      const total = Object.keys(entry.relays).length;
+      const required = this._requiredFor(total);
+      const success = accepted >= required;
+      const isRetry = Object.values(entry.relays).some(state => state.attempts > 1);
+      if (success) {
+        if (this.entries.delete(entry.id)) {
+          this.delivered++;
+        }
+        if (isRetry) {
+          logger.info(`📬 Outbox delivered ${entry.id} on retry (${accepted}/${total} relays)`);
+        }
+      } else if (!isRetry) {
+        logger.warn(`📬 Event ${entry.id} accepted by ${accepted}/${required} required relays, queued for retry`);
+      }
+      this._save();
+
+      return { success, published, failed, accepted, queued: !success };
+    } finally {
+      this.inFlight.delete(entry.id);
+    }
+  }
+
+  // Unknown or removed sets fall back to the default relays
+  _relaysFor(relaySet) {
+    return (relaySet && this.relaySets[relaySet]) || this.relays;
+  }
+
+  _requiredFor(relayCount) {
+    return Math.min(this.requiredAccepts, relayCount);
+  }
+
+  _pendingRelays(entry) {
+    return Object.keys(entry.relays).filter(url => !entry.relays[url].accepted);
+  }
+
+  _acceptedCount(entry) {
+    return Object.values(entry.relays).filter(state => state.accepted).length;
+  }
+
+  _newRelayState() {
+    return { accepted: false, attempts: 0, nextAttempt: 0, lastError: null };
+  }
+
+  _save() {
+    writeJson(this.file, [...this.entries.values()]);
+  }
+
+  getStats() {
+    let oldest = null;
+    const pendingBySet = {};
+    for (const entry of this.entries.values()) {
+      if (oldest === null || entry.createdAt < oldest) {
+        oldest = entry.createdAt;
+      }
+      if (entry.relaySet && this.relaySets[entry.relaySet]) {
+        pendingBySet[entry.relaySet] = (pendingBySet[entry.relaySet] || 0) + 1;
+      }
+    }
+    // Each set needs its own number of accepts, capped by how many relays it has
+    const relaySets = {};
+    for (const [name, urls] of Object.entries(this.relaySets)) {
+      relaySets[name] = {
+        relays: urls.length,
+        minAccepted: this._requiredFor(urls.length),
+        depth: pendingBySet[name] || 0
+      };
+    }
+    return {
+      depth: this.entries.size,
+      oldestPendingAge: oldest === null ? null : Math.floor((Date.now() - oldest) / 1000),
+      minAccepted: this.minAccepted,
+      relaySets,
+      delivered: this.delivered,
+      expired: this.expired
+    };
+  }
+}
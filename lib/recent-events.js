@@ -0,0 +1,48 @@
+import { readJson, writeJson } from './storage.js';
+
+// Rolling record of events we've published so admins can look them up, retract or correct them
+export class RecentEvents {
+  constructor(options) {
+    this.file = options.file;
+    this.maxEvents = options.maxEvents || 200;
+    // Older files also listed deletions, profiles and structured events
+    this.events = readJson(this.file, []).filter(event => event.kind === 1);
+  }
+
+  record(event, relaySet = null) {
+    this.events.unshift({
+      id: event.id,
+      kind: event.kind,
+      content: event.content,
+      tags: event.tags,
+      created_at: event.created_at,
+      relaySet,
+      deleted: false,
+      correctedBy: null,
+      companions: []
+    });
+    this.events.length = Math.min(this.events.length, this.maxEvents);
+    this._save();
+  }
+
+  get(id) {
+    return this.events.find(event => event.id === id) || null;
+  }
+
+  list(limit = 50) {
+    return this.events.slice(0, limit);
+  }
+
+  update(id, changes) {
+    const event = this.get(id);
+    if (event) {
+      Object.assign(event, changes);
+      this._save();
+    }
+    return event;
+  }
+
+  _save() {
+    writeJson(this.file, this.events);
+  }
+}
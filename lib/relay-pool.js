@@ -0,0 +1,205 @@
+import { Relay } from 'nostr-tools/relay';
+import { logger } from './logger.js';
+
+// Keeps one long-lived connection per relay so bursts of boosts reuse open sockets
+export class RelayPool {
+  constructor(urls, options = {}) {
+    this.baseReconnectDelay = options.baseReconnectDelay || 2000;
+    this.maxReconnectDelay = options.maxReconnectDelay || 300000; // 5 minutes
+    this.onNotice = options.onNotice || null;
+    this.closed = false;
+    this.relays = new Map();
+
+    for (const url of urls) {
+      this.relays.set(url, {
+        url,
+        relay: null,
+        state: 'disconnected',
+        connecting: null,
+        reconnectTimer: null,
+        reconnectAttempts: 0,
+        nextReconnect: null,
+        lastConnected: null,
+        lastError: null
+      });
+    }
+  }
+
+  get urls() {
+    return [...this.relays.keys()];
+  }
+
+  connectAll() {
+    return Promise.allSettled(this.urls.map(url => this.ensureConnected(url)));
+  }
+
+  async ensureConnected(url) {
+    const entry = this.relays.get(url);
+    if (!entry) {
+      throw new Error(`Unknown relay: ${url}`);
+    }
+    if (this.closed) {
+      throw new Error('Relay pool is closed');
+    }
+    if (entry.relay?.connected) {
+      return entry.relay;
+    }
+    // Share a single in-flight connection attempt between concurrent publishes
+    if (!entry.connecting) {
+      entry.connecting = this._connect(entry).finally(() => {
+        entry.connecting = null;
+      });
+    }
+    return entry.connecting;
+  }
+
+  async _connect(entry) {
+    this._clearReconnectTimer(entry);
+    entry.state = 'connecting';
+
+    try {
+      // Relay.connect applies its own connection timeout
+      const relay = await Relay.connect(entry.url);
+
+      relay.onclose = () => this._handleClose(entry, relay);
+      relay.onnotice = (message) => {
+        logger.debug(`NOTICE from ${entry.url}: ${message}`);
+        if (this.onNotice) {
+          this.onNotice(entry.url, message);
+        }
+      };
+      entry.relay = relay;
+      entry.state = 'connected';
+      entry.reconnectAttempts = 0;
+      entry.lastConnected = new Date();
+      entry.lastError = null;
+      logger.debug(`Connected to relay ${entry.url}`);
+      return relay;
+    } catch (error) {
+      entry.relay = null;
+      entry.lastError = error.message;
+      this._scheduleReconnect(entry);
+      throw error;
+    }
+  }
+
+  _handleClose(entry, relay) {
+    // Ignore close events from sockets we've already replaced
+    if (entry.relay !== relay) {
+      return;
+    }
+    entry.relay = null;
+    if (this.closed) {
+      entry.state = 'disconnected';
+      return;
+    }
+    logger.warn(`Relay connection closed: ${entry.url}`);
+    this._scheduleReconnect(entry);
+  }
+
+  _scheduleReconnect(entry) {
+    if (this.closed || entry.reconnectTimer) {
+      return;
+    }
+
+    const delay = Math.min(
+      this.baseReconnectDelay * Math.pow(2, entry.reconnectAttempts),
+      this.maxReconnectDelay
+    );
+    entry.reconnectAttempts++;
+    entry.state = 'backoff';
+    entry.nextReconnect = new Date(Date.now() + delay);
+    logger.debug(`Reconnecting to ${entry.url} in ${Math.round(delay / 1000)}s (attempt ${entry.reconnectAttempts})`);
+
+    entry.reconnectTimer = setTimeout(() => {
+      entry.reconnectTimer = null;
+      entry.nextReconnect = null;
+      this.ensureConnected(entry.url).catch(error => {
+        logger.debug(`Reconnect to ${entry.url} failed: ${error.message}`);
+      });
+    }, delay);
+  }
+
+  _clearReconnectTimer(entry) {
+    if (entry.reconnectTimer) {
+      clearTimeout(entry.reconnectTimer);
+      entry.reconnectTimer = null;
+      entry.nextReconnect = null;
+    }
+  }
+
+  async publish(url, event) {
+    const relay = await this.ensureConnected(url);
+    try {
+      return await relay.publish(event);
+    } catch (error) {
+      // A dead socket surfaces here first - drop it so the next publish reconnects
+      if (!relay.connected) {
+        this._handleClose(this.relays.get(url), relay);
+      } else if (!/timed out/i.test(error.message)) {
+        // Anything else on a live socket is the relay answering OK false
+        error.relayReason = error.message;
+      }
+      throw error;
+    }
+  }
+
+  // Relays outside the pool, such as someone's DM inbox, get a short-lived connection
+  async publishOnce(url, event) {
+    if (this.relays.has(url)) {
+      return await this.publish(url, event);
+    }
+    const relay = await Relay.connect(url);
+    try {
+      return await relay.publish(event);
+    } finally {
+      relay.close();
+    }
+  }
+
+  // Resolves with whatever matched before EOSE, or before the timeout if the relay never sends one
+  async query(url, filter, timeoutMs = 5000) {
+    const relay = await this.ensureConnected(url);
+    return await new Promise(resolve => {
+      const events = [];
+      const subscription = relay.subscribe([filter], {
+        eoseTimeout: timeoutMs,
+        onevent: (event) => events.push(event),
+        oneose: () => {
+          subscription.close();
+          resolve(events);
+        }
+      });
+    });
+  }
+
+  getStatus() {
+    const status = {};
+    for (const entry of this.relays.values()) {
+      status[entry.url] = {
+        state: entry.state,
+        reconnectAttempts: entry.reconnectAttempts,
+        lastConnected: entry.lastConnected,
+        nextReconnect: entry.nextReconnect,
+        lastError: entry.lastError
+      };
+    }
+    return status;
+  }
+
+  close() {
+    this.closed = true;
+    for (const entry of this.relays.values()) {
+      this._clearReconnectTimer(entry);
+      if (entry.relay) {
+        try {
+          entry.relay.close();
+        } catch (error) {
+          logger.debug(`Error closing relay ${entry.url}: ${error.message}`);
+        }
+        entry.relay = null;
+      }
+      entry.state = 'disconnected';
+    }
+  }
+}
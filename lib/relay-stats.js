@@ -0,0 +1,77 @@
+// Per-relay publish counters. Summaries are written into the given store object
+// (the bridge's stats.relayStats) so /status and /relays always see current numbers.
+export class RelayStats {
+  constructor(urls, store = {}, options = {}) {
+    this.store = store;
+    this.maxSamples = options.maxSamples || 200;
+    this.samples = new Map();
+
+    for (const url of urls) {
+      this._entry(url);
+    }
+  }
+
+  _entry(url) {
+    if (!this.store[url]) {
+      this.store[url] = {
+        accepted: 0,
+        rejected: 0,
+        timedOut: 0,
+        errors: 0,
+        lastOk: null,
+        lastNotice: null,
+        lastError: null,
+        lastSuccess: null,
+        latencyMs: { samples: 0, p50: null, p90: null, p99: null }
+      };
+      this.samples.set(url, []);
+    }
+    return this.store[url];
+  }
+
+  recordAccepted(url, latencyMs, reason) {
+    const entry = this._entry(url);
+    entry.accepted++;
+    entry.lastSuccess = new Date();
+    entry.lastOk = { accepted: true, reason: reason || '', at: new Date() };
+    this._recordLatency(url, latencyMs);
+  }
+
+  recordFailure(url, latencyMs, error) {
+    const entry = this._entry(url);
+    const message = error?.message || String(error);
+
+    // nostr-tools rejects with the relay's OK reason, or one of its own timeout/connection errors
+    if (/timed out/i.test(message)) {
+      entry.timedOut++;
+    } else if (error?.relayReason !== undefined) {
+      entry.rejected++;
+      entry.lastOk = { accepted: false, reason: message, at: new Date() };
+    } else {
+      entry.errors++;
+    }
+    entry.lastError = { message, at: new Date() };
+    this._recordLatency(url, latencyMs);
+  }
+
+  recordNotice(url, message) {
+    this._entry(url).lastNotice = { message, at: new Date() };
+  }
+
+  _recordLatency(url, latencyMs) {
+    const samples = this.samples.get(url);
+    samples.push(latencyMs);
+    if (samples.length > this.maxSamples) {
+      samples.shift();
+    }
+
+    const sorted = [...samples].sort((a, b) => a - b);
+    const percentile = (p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+    this.store[url].latencyMs = {
+      samples: sorted.length,
+      p50: percentile(0.5),
+      p90: percentile(0.9),
+      p99: percentile(0.99)
+    };
+  }
+}
@@ -0,0 +1,129 @@
+import { nip05, nip19 } from 'nostr-tools';
+import { logger } from './logger.js';
+import { readJson, writeJson } from './storage.js';
+
+// Maps IRC boost sender names to Nostr pubkeys, either from the mapping file or via NIP-05
+export class SenderRegistry {
+  constructor(options) {
+    this.file = options.file;
+    this.nip05Domain = options.nip05Domain || null; // try "<sender>@<domain>" for unmapped senders
+    this.cacheTtlMs = options.cacheTtlMs || 6 * 60 * 60 * 1000;
+    // A lookup that got no answer (timeout, network or server error) is retried much sooner
+    this.failureTtlMs = options.failureTtlMs || 5 * 60 * 1000;
+    this.lookupTimeout = options.lookupTimeout || 3000;
+    this.cache = new Map();
+    this.mappings = {};
+
+    // Keys are lowercased so "EricPP" and "ericpp" share a mapping
+    for (const [name, value] of Object.entries(readJson(this.file, {}))) {
+      this.mappings[name.toLowerCase()] = value;
+    }
+  }
+
+  list() {
+    return { ...this.mappings };
+  }
+
+  // Accepts an npub, a hex pubkey or a NIP-05 identifier; throws on anything else
+  set(name, value) {
+    const key = name.toLowerCase();
+    const normalized = this._normalize(value);
+    this.mappings[key] = normalized;
+    this.cache.delete(key);
+    writeJson(this.file, this.mappings);
+    logger.info(`👤 Mapped sender ${name} to ${normalized}`);
+    return normalized;
+  }
+
+  remove(name) {
+    const key = name.toLowerCase();
+    if (!(key in this.mappings)) {
+      return false;
+    }
+    delete this.mappings[key];
+    this.cache.delete(key);
+    writeJson(this.file, this.mappings);
+    logger.info(`👤 Removed sender mapping for ${name}`);
+    return true;
+  }
+
+  _normalize(value) {
+    if (typeof value !== 'string' || !value.trim()) {
+      throw new Error('Mapping must be an npub, hex pubkey or NIP-05 identifier');
+    }
+    const trimmed = value.trim();
+    if (trimmed.startsWith('npub1')) {
+      nip19.decode(trimmed); // throws on a bad checksum
+      return trimmed;
+    }
+    if (/^[0-9a-f]{64}$/i.test(trimmed)) {
+      return nip19.npubEncode(trimmed.toLowerCase());
+    }
+    if (nip05.isNip05(trimmed)) {
+      return trimmed;
+    }
+    throw new Error('Mapping must be an npub, hex pubkey or NIP-05 identifier');
+  }
+
+  // Hex pubkey for the sender, or null if we don't know them
+  async resolve(sender) {
+    if (!sender) {
+      return null;
+    }
+    const key = sender.toLowerCase();
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.at < (cached.failed ? this.failureTtlMs : this.cacheTtlMs)) {
+      return cached.pubkey;
+    }
+
+    let result = { pubkey: null, failed: false };
+    const mapping = this.mappings[key];
+    if (mapping?.startsWith('npub1')) {
+      result.pubkey = nip19.decode(mapping).data;
+    } else if (mapping) {
+      result = await this._lookupNip05(mapping);
+    } else if (this.nip05Domain && /^[\w.-]+$/.test(sender)) {
+      result = await this._lookupNip05(`${key}@${this.nip05Domain}`);
+    }
+
+    // Negative results are cached too so unknown senders don't trigger a lookup per boost
+    this.cache.set(key, result.failed ? { pubkey: null, at: Date.now(), failed: true } : { pubkey: result.pubkey, at: Date.now() });
+    return result.pubkey;
+  }
+
+  // { pubkey, failed }; failed means the domain couldn't be asked, rather than that it
+  // doesn't know the name. nip05.queryProfile can't tell the two apart, so this fetches itself.
+  async _lookupNip05(identifier) {
+    const match = identifier.match(nip05.NIP05_REGEX);
+    if (!match) {
+      return { pubkey: null, failed: false };
+    }
+    const [, name = '_', domain] = match;
+    try {
+      const response = await fetch(`https://${domain}/.well-known/nostr.json?name=${encodeURIComponent(name)}`, {
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.lookupTimeout)
+      });
+      if (response.status === 404) {
+        return { pubkey: null, failed: false };
+      }
+      if (response.status !== 200) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const json = await response.json();
+      const pubkey = json.names?.[name];
+      return { pubkey: /^[0-9a-f]{64}$/.test(pubkey || '') ? pubkey : null, failed: false };
+    } catch (error) {
+      logger.debug(`NIP-05 lookup for ${identifier} failed: ${error.message}`);
+      return { pubkey: null, failed: true };
+    }
+  }
+
+  getStats() {
+    return {
+      mappings: Object.keys(this.mappings).length,
+      cached: this.cache.size,
+      nip05Domain: this.nip05Domain
+    };
+  }
+}
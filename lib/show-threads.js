@@ -0,0 +1,90 @@
+import { logger } from './logger.js';
+import { readJson, writeJson } from './storage.js';
+
+// Remembers the root note for each show so later boosts can be posted as NIP-10 replies
+export class ShowThreads {
+  constructor(options) {
+    this.stateFile = options.stateFile;
+    this.maxAgeMs = options.maxAgeMs || 12 * 60 * 60 * 1000;
+    this.relayHint = options.relayHint || '';
+    this.roots = readJson(this.stateFile, {});
+    this.pending = new Map(); // show -> { promise, resolve } while its root note is being published
+    this._prune();
+  }
+
+  // Tags that make a note a reply to the show's root, or null if the note should become the root.
+  // A null answer claims the root: boosts for the same show wait until the caller calls setRoot
+  // or abandonRoot, so two boosts arriving together don't both start a thread.
+  async replyTags(show, authorPubkey) {
+    while (this.pending.has(show)) {
+      await this.pending.get(show).promise;
+    }
+    const tags = this._rootTags(show, authorPubkey);
+    if (!tags) {
+      let resolve;
+      const promise = new Promise(r => { resolve = r; });
+      this.pending.set(show, { promise, resolve });
+    }
+    return tags;
+  }
+
+  _rootTags(show, authorPubkey) {
+    const root = show ? this.roots[show] : null;
+    if (!root || Date.now() - root.createdAt > this.maxAgeMs) {
+      return null;
+    }
+    return [
+      ['e', root.eventId, this.relayHint, 'root', authorPubkey],
+      ['p', authorPubkey]
+    ];
+  }
+
+  setRoot(show, eventId) {
+    this.roots[show] = { eventId, createdAt: Date.now() };
+    logger.info(`🧵 Started thread for ${show}: ${eventId}`);
+    this._prune();
+    writeJson(this.stateFile, this.roots);
+    this._release(show);
+  }
+
+  // A retracted root is replaced by its corrected copy, or forgotten so the next boost starts a new thread
+  replaceRoot(eventId, newEventId = null) {
+    for (const [show, root] of Object.entries(this.roots)) {
+      if (root.eventId !== eventId) {
+        continue;
+      }
+      if (newEventId) {
+        root.eventId = newEventId;
+      } else {
+        delete this.roots[show];
+      }
+      writeJson(this.stateFile, this.roots);
+    }
+  }
+
+  // The claimed root was never published, so the next boost for the show becomes the root
+  abandonRoot(show) {
+    this._release(show);
+  }
+
+  _release(show) {
+    const pending = this.pending.get(show);
+    if (pending) {
+      this.pending.delete(show);
+      pending.resolve();
+    }
+  }
+
+  _prune() {
+    const now = Date.now();
+    for (const [show, root] of Object.entries(this.roots)) {
+      if (now - root.createdAt > this.maxAgeMs) {
+        delete this.roots[show];
+      }
+    }
+  }
+
+  getStats() {
+    return Object.fromEntries(Object.entries(this.roots).map(([show, root]) => [show, root.eventId]));
+  }
+}
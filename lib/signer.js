@@ -0,0 +1,128 @@
+import { finalizeEvent, generateSecretKey, getPublicKey, nip19, nip44 } from 'nostr-tools';
+import { BunkerSigner, parseBunkerInput } from 'nostr-tools/nip46';
+import { logger } from './logger.js';
+import { readJson, writeJson } from './storage.js';
+
+// Both signers expose the same async interface:
+// connect(), getPublicKey(), signEvent(template), nip44Encrypt(pubkey, plaintext), close()
+
+export class LocalSigner {
+  constructor(nsec) {
+    this.type = 'local';
+    this.secretKey = this._decode(nsec);
+    this.pubkey = getPublicKey(this.secretKey);
+  }
+
+  _decode(nsec) {
+    try {
+      const { data } = nip19.decode(nsec);
+      return data;
+    } catch (error) {
+      throw new Error(`Invalid nsec format: ${error.message}`);
+    }
+  }
+
+  async connect() {}
+
+  async getPublicKey() {
+    return this.pubkey;
+  }
+
+  async signEvent(template) {
+    return finalizeEvent(template, this.secretKey);
+  }
+
+  async nip44Encrypt(pubkey, plaintext) {
+    return nip44.encrypt(plaintext, nip44.getConversationKey(this.secretKey, pubkey));
+  }
+
+  async close() {}
+}
+
+// NIP-46 remote signer: the bot's key stays with the bunker, we only hold a client key
+export class RemoteSigner {
+  constructor(bunkerUri, options = {}) {
+    this.type = 'nip46';
+    this.bunkerUri = bunkerUri;
+    this.clientKeyFile = options.clientKeyFile;
+    this.timeout = options.timeout || 30000;
+    this.bunker = null;
+    this.pubkey = null;
+  }
+
+  async connect() {
+    const pointer = await parseBunkerInput(this.bunkerUri);
+    if (!pointer) {
+      throw new Error('Invalid NOSTR_BUNKER_URI, expected bunker://<pubkey>?relay=...');
+    }
+
+    this.bunker = new BunkerSigner(this._loadClientKey(), pointer, {
+      onauth: (url) => logger.warn(`🔐 Remote signer requires authorization: ${url}`)
+    });
+
+    await this._withTimeout(this.bunker.connect(), 'connect');
+    this.pubkey = await this._withTimeout(this.bunker.getPublicKey(), 'get_public_key');
+    logger.info(`🔐 Connected to remote signer for ${nip19.npubEncode(this.pubkey)}`);
+  }
+
+  // Reuse the same client key across restarts so the bunker doesn't have to re-approve us
+  _loadClientKey() {
+    const saved = this.clientKeyFile ? readJson(this.clientKeyFile, null) : null;
+    if (saved?.clientSecretKey) {
+      return Uint8Array.from(Buffer.from(saved.clientSecretKey, 'hex'));
+    }
+
+    const secretKey = generateSecretKey();
+    if (this.clientKeyFile) {
+      writeJson(this.clientKeyFile, { clientSecretKey: Buffer.from(secretKey).toString('hex') });
+    }
+    return secretKey;
+  }
+
+  async getPublicKey() {
+    return this.pubkey;
+  }
+
+  async signEvent(template) {
+    if (!this.bunker) {
+      throw new Error('Remote signer is not connected');
+    }
+    return await this._withTimeout(this.bunker.signEvent(template), 'sign_event');
+  }
+
+  async nip44Encrypt(pubkey, plaintext) {
+    if (!this.bunker) {
+      throw new Error('Remote signer is not connected');
+    }
+    return await this._withTimeout(this.bunker.nip44Encrypt(pubkey, plaintext), 'nip44_encrypt');
+  }
+
+  async _withTimeout(promise, method) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Remote signer ${method} timed out`)), this.timeout);
+    });
+    try {
+      return await Promise.race([promise, timeout]);
+    } catch (error) {
+      // The bunker rejects with its error string rather than an Error
+      throw error instanceof Error ? error : new Error(`Remote signer ${method} failed: ${error}`);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async close() {
+    if (this.bunker) {
+      await this.bunker.close();
+      this.bunker = null;
+    }
+  }
+}
+
+export function createSigner(nostrConfig, options = {}) {
+  if (nostrConfig.bunkerUri) {
+    return new RemoteSigner(nostrConfig.bunkerUri, options);
+  }
+  return new LocalSigner(nostrConfig.nsec);
+}
@@ -0,0 +1,29 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+export function readJson(file, fallback) {
+  try {
+    if (!fs.existsSync(file)) {
+      return fallback;
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    logger.error(`Failed to read ${file}, starting fresh:`, error.message);
+    return fallback;
+  }
+}
+
+// Write to a temp file and rename so a crash mid-write never leaves a truncated file
+export function writeJson(file, data) {
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpFile, file);
+    return true;
+  } catch (error) {
+    logger.error(`Failed to write ${file}:`, error.message);
+    return false;
+  }
+}
@@ -1,14 +1,49 @@
 // libre-relay-bot.js - IRC to Nostr bridge for monitoring LibreRelayBot
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
 import express from 'express';
 import dotenv from 'dotenv';
-import { finalizeEvent, nip19 } from 'nostr-tools';
-import { Relay } from 'nostr-tools/relay';
+import { getEventHash, nip19 } from 'nostr-tools';
+import { createWrap } from 'nostr-tools/nip59';
 import { logger } from './lib/logger.js';
 import { IRCClient } from './lib/irc-client.js';
+import { RelayPool } from './lib/relay-pool.js';
+import { Outbox } from './lib/outbox.js';
+import { RelayStats } from './lib/relay-stats.js';
+import { createSigner } from './lib/signer.js';
+import { IdentityPublisher } from './lib/identity.js';
+import { BoostDigest } from './lib/digest.js';
+import { ShowThreads } from './lib/show-threads.js';
+import { AlertManager, SEVERITY } from './lib/alerts.js';
+import { SenderRegistry } from './lib/sender-registry.js';
+import { BoostDeduplicator } from './lib/dedup.js';
+import { BurstQueue } from './lib/burst-queue.js';
+import { RecentEvents } from './lib/recent-events.js';
+import { AuditLog } from './lib/audit-log.js';
+import { BoostArchive } from './lib/boost-archive.js';
+import { EmbeddedRelay } from './lib/embedded-relay.js';
+import { BoostParserRegistry } from './lib/boost-parsers.js';
+import { NoteTemplates } from './lib/note-templates.js';
+import { FiatRates } from './lib/fiat-rates.js';
+import { FeedEnricher, MappingLookup, RssCacheLookup, PodcastIndexLookup } from './lib/enrichment.js';
+import { ForwardingRules } from './lib/forwarding-rules.js';
+import { ModerationQueue } from './lib/moderation.js';
 
 // Configure environment variables
 dotenv.config();
 
+const BRIDGE_KEYS = ['name', 'irc', 'targetBot', 'targetBots', 'nostr', 'hashtags', 'formatter', 'files'];
+// Keys allowed inside a bridge definition's objects, so a typo fails instead of falling back to the environment
+const BRIDGE_NESTED_KEYS = {
+  irc: ['server', 'port', 'secure', 'channel', 'nickname', 'altNicks', 'nickRecoveryMinutes', 'ghostCommand', 'userName',
+    'realName', 'password', 'account', 'accountPassword', 'saslMechanism', 'nickServ', 'clientCert', 'clientKey'],
+  nostr: ['nsec', 'bunkerUri', 'relays', 'relaySets', 'minRelayAccepts', 'structuredEvents', 'threadByShow',
+    'threadMaxAgeHours', 'readRelays', 'publishRelayList', 'profile'],
+  'nostr.profile': ['name', 'display_name', 'about', 'picture', 'banner', 'website', 'nip05', 'lud16'],
+  files: ['parsers', 'templates', 'rules', 'senders']
+};
+
 // Configuration with validation
 class Config {
   constructor() {
@@ -17,22 +52,205 @@ class Config {
       port: this.parsePort(process.env.IRC_PORT) || 6667,
       secure: process.env.IRC_SECURE === 'true',
       nickname: process.env.IRC_NICKNAME || 'LibreRelayBot_Reader',
+      // Tried in order when the nickname is taken; the primary is reclaimed in the background
+      altNicks: (process.env.IRC_ALT_NICKS || '').split(',').map(s => s.trim()).filter(Boolean),
+      nickRecoveryMinutes: process.env.IRC_NICK_RECOVERY_MINUTES !== undefined ? parseInt(process.env.IRC_NICK_RECOVERY_MINUTES) : 5,
+      ghostCommand: (process.env.IRC_GHOST_COMMAND || 'GHOST').toUpperCase(),
       userName: process.env.IRC_USERNAME || 'libre_reader',
       realName: process.env.IRC_REALNAME || 'LibreRelayBot Reader Bot',
-      password: process.env.IRC_PASSWORD,
+      password: process.env.IRC_PASSWORD, // server PASS, e.g. the ZNC login
+      // Services account: SASL PLAIN/EXTERNAL when set, with NickServ IDENTIFY as the fallback
+      saslMechanism: process.env.IRC_SASL_MECHANISM ? process.env.IRC_SASL_MECHANISM.toUpperCase() : null,
+      account: process.env.IRC_ACCOUNT || process.env.IRC_NICKNAME || 'LibreRelayBot_Reader',
+      accountPassword: process.env.IRC_ACCOUNT_PASSWORD,
+      nickServ: process.env.IRC_NICKSERV !== 'false',
+      clientCert: process.env.IRC_CLIENT_CERT,
+      clientKey: process.env.IRC_CLIENT_KEY,
       channels: [process.env.IRC_CHANNEL || '#SirLibre']
     };
     
     this.nostr = {
       nsec: process.env.NOSTR_NSEC,
-      relays: this.parseRelays(process.env.NOSTR_RELAYS)
+      bunkerUri: process.env.NOSTR_BUNKER_URI,
+      relays: this.parseRelays(process.env.NOSTR_RELAYS),
+      hashtags: (process.env.NOSTR_HASHTAGS || 'v4v').split(',').map(s => s.trim()).filter(Boolean),
+      minRelayAccepts: parseInt(process.env.NOSTR_MIN_RELAYS) || 1,
+      // Named relay sets that forwarding rules can route boosts to, e.g. {"big":["wss://..."]}
+      relaySets: this.parseJson(process.env.NOSTR_RELAY_SETS, {}),
+      structuredEvents: process.env.NOSTR_STRUCTURED_EVENTS === 'true',
+      threadByShow: process.env.NOSTR_THREAD_BY_SHOW === 'true',
+      threadMaxAgeHours: parseInt(process.env.NOSTR_THREAD_MAX_AGE_HOURS) || 12,
+      // NIP-65: we write to NOSTR_RELAYS; read relays default to the same set
+      readRelays: process.env.NOSTR_READ_RELAYS ? this.parseRelays(process.env.NOSTR_READ_RELAYS) : null,
+      publishRelayList: process.env.NOSTR_PUBLISH_RELAY_LIST !== 'false',
+      profile: {
+        name: process.env.NOSTR_PROFILE_NAME,
+        display_name: process.env.NOSTR_PROFILE_DISPLAY_NAME,
+        about: process.env.NOSTR_PROFILE_ABOUT,
+        picture: process.env.NOSTR_PROFILE_PICTURE,
+        banner: process.env.NOSTR_PROFILE_BANNER,
+        website: process.env.NOSTR_PROFILE_WEBSITE,
+        nip05: process.env.NOSTR_PROFILE_NIP05,
+        lud16: process.env.NOSTR_PROFILE_LUD16
+      }
     };
     
+    const targetBots = (process.env.TARGET_BOT || 'LibreRelayBot').split(',').map(s => s.trim()).filter(Boolean);
     this.app = {
       port: this.parsePort(process.env.PORT) || 3336,
       testMode: process.env.TEST_MODE === 'true',
-      targetBot: process.env.TARGET_BOT || 'LibreRelayBot'
+      targetBots,
+      targetBot: targetBots[0], // default source for lines that don't say where they came from
+      formatter: 'v4v', // v4v (note templates), raw (the IRC line as-is) or a named template set
+      dataDir: process.env.DATA_DIR || 'data',
+      adminToken: process.env.ADMIN_TOKEN,
+      dedupWindowMinutes: parseInt(process.env.DEDUP_WINDOW_MINUTES) || 10,
+      embeddedRelay: process.env.EMBEDDED_RELAY === 'true'
+    };
+
+    // Rate limiting per target bot; RATE_LIMIT_OVERRIDES is JSON keyed by bot nick
+    this.rateLimit = {
+      maxRequests: parseInt(process.env.RATE_LIMIT_MAX) || 5,
+      windowSeconds: parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS) || 60,
+      mode: process.env.BURST_MODE || 'queue',
+      maxCoalesce: parseInt(process.env.BURST_MAX_COALESCE) || 10,
+      overrides: this.parseJson(process.env.RATE_LIMIT_OVERRIDES, {})
+    };
+
+    this.senders = {
+      file: process.env.SENDER_MAP_FILE || path.join(this.app.dataDir, 'senders.json'),
+      nip05Domain: process.env.SENDER_NIP05_DOMAIN
+    };
+
+    // JSON array of parser definitions, tried in order before the built-in v4v-music layout
+    this.parsers = {
+      file: process.env.BOOST_PARSERS_FILE || path.join(this.app.dataDir, 'parsers.json')
+    };
+
+    this.templates = {
+      file: process.env.NOTE_TEMPLATES_FILE || path.join(this.app.dataDir, 'templates.json')
+    };
+
+    this.rules = {
+      file: process.env.FORWARDING_RULES_FILE || path.join(this.app.dataDir, 'rules.json')
+    };
+
+    // off, heuristic (hold suspicious boosts) or strict (hold everything)
+    this.moderation = {
+      mode: process.env.MODERATION_MODE || 'off',
+      timeoutMinutes: parseInt(process.env.MODERATION_TIMEOUT_MINUTES) || 60,
+      onTimeout: process.env.MODERATION_TIMEOUT_ACTION || 'expire',
+      words: (process.env.MODERATION_WORDS || '').split(',').map(s => s.trim()).filter(Boolean),
+      maxLength: parseInt(process.env.MODERATION_MAX_LENGTH) || 200
+    };
+
+    // Fiat estimate next to the sats amount; off unless FIAT_RATE_PROVIDER is set
+    this.fiat = {
+      provider: process.env.FIAT_RATE_PROVIDER,
+      source: process.env.FIAT_RATE_SOURCE,
+      jsonPath: process.env.FIAT_RATE_PATH,
+      currency: process.env.FIAT_CURRENCY || 'USD',
+      decimals: process.env.FIAT_DECIMALS !== undefined ? parseInt(process.env.FIAT_DECIMALS) : 2,
+      maxAgeMinutes: parseInt(process.env.FIAT_MAX_AGE_MINUTES) || 60,
+      refreshMinutes: parseInt(process.env.FIAT_REFRESH_MINUTES) || 5
     };
+
+    // Show/track -> feed metadata lookups, tried in the order listed
+    this.enrichment = {
+      lookups: (process.env.ENRICH_LOOKUPS || '').split(',').map(s => s.trim()).filter(Boolean),
+      mappingFile: process.env.ENRICH_MAPPING_FILE || path.join(this.app.dataDir, 'feeds.json'),
+      rssDir: process.env.ENRICH_RSS_DIR,
+      podcastIndex: {
+        key: process.env.PODCASTINDEX_API_KEY,
+        secret: process.env.PODCASTINDEX_API_SECRET,
+        baseUrl: process.env.PODCASTINDEX_API_URL
+      },
+      cacheHours: parseInt(process.env.ENRICH_CACHE_HOURS) || 24
+    };
+
+    this.alerts = {
+      npubs: (process.env.ALERT_NPUBS || '').split(',').map(s => s.trim()).filter(Boolean),
+      minSeverity: process.env.ALERT_MIN_SEVERITY || 'warning',
+      cooldownMinutes: parseInt(process.env.ALERT_COOLDOWN_MINUTES) || 30
+    };
+
+    // JSON array of bridge definitions; without it the environment describes a single bridge
+    this.bridges = {
+      file: process.env.BRIDGES_FILE || path.join(this.app.dataDir, 'bridges.json')
+    };
+    // Nicks may hold characters like | [ ] ^ { } that don't belong in a route, so only the safe part is kept
+    this.name = this.app.targetBot.toLowerCase().replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'default';
+
+    this.digest = {
+      schedules: (process.env.DIGEST_SCHEDULE || '').split(',').map(s => s.trim()).filter(Boolean),
+      hour: parseInt(process.env.DIGEST_HOUR) || 0,
+      weekday: parseInt(process.env.DIGEST_WEEKDAY) || 0,
+      showIdleMinutes: parseInt(process.env.DIGEST_SHOW_IDLE_MINUTES) || 60
+    };
+  }
+
+  // One BRIDGES_FILE entry on top of the environment defaults. Each bridge keeps its state
+  // in DATA_DIR/<name>; parser, template and rule files are shared unless the entry names its own.
+  static fromDefinition(definition) {
+    const unknown = Object.keys(definition).filter(key => !BRIDGE_KEYS.includes(key));
+    const nested = {
+      irc: definition.irc,
+      nostr: definition.nostr,
+      'nostr.profile': definition.nostr?.profile,
+      files: definition.files
+    };
+    for (const [section, value] of Object.entries(nested)) {
+      if (value === undefined) {
+        continue;
+      }
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error(`Bridge "${definition.name}": ${section} must be an object`);
+      }
+      unknown.push(...Object.keys(value).filter(key => !BRIDGE_NESTED_KEYS[section].includes(key)).map(key => `${section}.${key}`));
+    }
+    if (unknown.length > 0) {
+      throw new Error(`Bridge "${definition.name}" has unknown keys: ${unknown.join(', ')}`);
+    }
+    const config = new Config();
+    const { channel, ...irc } = definition.irc || {};
+    const { nsec, bunkerUri, ...nostr } = definition.nostr || {};
+
+    Object.assign(config.irc, irc);
+    if (channel) {
+      config.irc.channels = [channel];
+    }
+    if (irc.nickname && !irc.account && !process.env.IRC_ACCOUNT) {
+      config.irc.account = irc.nickname;
+    }
+    if (irc.saslMechanism) {
+      config.irc.saslMechanism = irc.saslMechanism.toUpperCase();
+    }
+
+    // A bridge with its own key shouldn't inherit a remote signer from the environment, or vice versa
+    if (nsec || bunkerUri) {
+      config.nostr.nsec = nsec;
+      config.nostr.bunkerUri = bunkerUri;
+    }
+    Object.assign(config.nostr, nostr);
+    if (definition.hashtags) {
+      config.nostr.hashtags = definition.hashtags;
+    }
+
+    const targetBots = [].concat(definition.targetBots || definition.targetBot || []);
+    if (targetBots.length > 0) {
+      config.app.targetBots = targetBots;
+      config.app.targetBot = targetBots[0];
+    }
+    config.app.formatter = definition.formatter || config.app.formatter;
+    config.name = definition.name;
+    config.app.dataDir = path.join(config.app.dataDir, definition.name);
+
+    const files = definition.files || {};
+    config.senders.file = files.senders || path.join(config.app.dataDir, 'senders.json');
+    config.parsers.file = files.parsers || config.parsers.file;
+    config.templates.file = files.templates || config.templates.file;
+    config.rules.file = files.rules || config.rules.file;
+    return config;
   }
 
   parsePort(value) {
@@ -40,6 +258,21 @@ class Config {
     return isNaN(port) || port < 1 || port > 65535 ? null : port;
   }
 
+  parseJson(value, fallback) {
+    if (!value) {
+      return fallback;
+    }
+    try {
+      return JSON.parse(value);
+    } catch {
+      return undefined; // reported by validate()
+    }
+  }
+
+  rateLimitFor(target) {
+    return { ...this.rateLimit, ...this.rateLimit.overrides?.[target], overrides: undefined };
+  }
+
   parseRelays(value) {
     if (!value) {
       return ['wss://relay.damus.io', 'wss://relay.nostr.band', 'wss://nostr.mom', 'wss://relay.primal.net', 'wss://chadf.nostr1.com'];
@@ -49,8 +282,106 @@ class Config {
 
   validate() {
     const errors = [];
+    if (!/^[\w-]+$/.test(this.name || '')) {
+      errors.push('Bridge name must be letters, digits, dashes or underscores');
+    }
+    if (this.app.targetBots.length === 0) {
+      errors.push('At least one target bot is required');
+    }
+    const { saslMechanism, accountPassword, clientCert, clientKey } = this.irc;
+    if (saslMechanism && !['PLAIN', 'EXTERNAL'].includes(saslMechanism)) {
+      errors.push('IRC_SASL_MECHANISM must be PLAIN or EXTERNAL');
+    }
+    if (saslMechanism === 'PLAIN' && !accountPassword) {
+      errors.push('IRC_ACCOUNT_PASSWORD is required for SASL PLAIN');
+    }
+    if (!(this.irc.nickRecoveryMinutes >= 0)) {
+      errors.push('IRC_NICK_RECOVERY_MINUTES must be 0 (off) or more');
+    }
+    if (!['GHOST', 'REGAIN', 'RECOVER'].includes(this.irc.ghostCommand)) {
+      errors.push('IRC_GHOST_COMMAND must be GHOST, REGAIN or RECOVER');
+    }
+    if (saslMechanism === 'EXTERNAL') {
+      if (!this.irc.secure) {
+        errors.push('SASL EXTERNAL needs a TLS connection (IRC_SECURE=true)');
+      }
+      if (!clientCert || !clientKey || !fs.existsSync(clientCert) || !fs.existsSync(clientKey)) {
+        errors.push('SASL EXTERNAL needs readable IRC_CLIENT_CERT and IRC_CLIENT_KEY files');
+      }
+    }
+    for (const npub of this.alerts.npubs) {
+      if (!npub.startsWith('npub1')) {
+        errors.push(`ALERT_NPUBS entry is not an npub: ${npub}`);
+      }
+    }
+    if (!(this.alerts.minSeverity in SEVERITY)) {
+      errors.push(`ALERT_MIN_SEVERITY must be one of: ${Object.keys(SEVERITY).join(', ')}`);
+    }
+    if (this.nostr.relaySets === undefined) {
+      errors.push('NOSTR_RELAY_SETS must be valid JSON');
+    }
+    for (const [name, urls] of Object.entries(this.nostr.relaySets || {})) {
+      if (!Array.isArray(urls) || urls.length === 0 || !urls.every(url => /^wss?:\/\//.test(url))) {
+        errors.push(`NOSTR_RELAY_SETS entry "${name}" must be a non-empty list of ws:// or wss:// URLs`);
+      }
+    }
+    if (this.rateLimit.overrides === undefined) {
+      errors.push('RATE_LIMIT_OVERRIDES must be valid JSON');
+    }
+    for (const target of [...this.app.targetBots, ...Object.keys(this.rateLimit.overrides || {})]) {
+      const mode = this.rateLimitFor(target).mode;
+      if (!['queue', 'coalesce'].includes(mode)) {
+        errors.push(`Burst mode for ${target} must be "queue" or "coalesce", got "${mode}"`);
+      }
+    }
+    if (this.fiat.provider) {
+      if (!['file', 'command', 'http'].includes(this.fiat.provider)) {
+        errors.push('FIAT_RATE_PROVIDER must be one of: file, command, http');
+      }
+      if (!this.fiat.source) {
+        errors.push('FIAT_RATE_SOURCE is required when FIAT_RATE_PROVIDER is set');
+      } else if (this.fiat.provider === 'http' && !/^https?:\/\//.test(this.fiat.source)) {
+        errors.push('FIAT_RATE_SOURCE must be an http(s) URL for the http provider');
+      }
+      if (!/^[A-Za-z]{3}$/.test(this.fiat.currency)) {
+        errors.push('FIAT_CURRENCY must be a three-letter currency code');
+      }
+      if (!(this.fiat.decimals >= 0 && this.fiat.decimals <= 8)) {
+        errors.push('FIAT_DECIMALS must be between 0 and 8');
+      }
+    }
+    if (!['off', 'heuristic', 'strict'].includes(this.moderation.mode)) {
+      errors.push('MODERATION_MODE must be one of: off, heuristic, strict');
+    }
+    if (!['approve', 'expire'].includes(this.moderation.onTimeout)) {
+      errors.push('MODERATION_TIMEOUT_ACTION must be "approve" or "expire"');
+    }
+    if (this.moderation.mode !== 'off' && !this.app.adminToken) {
+      errors.push('ADMIN_TOKEN is required to review held boosts when MODERATION_MODE is set');
+    }
+    const unknownLookups = this.enrichment.lookups.filter(s => !['mapping', 'rss', 'podcastindex'].includes(s));
+    if (unknownLookups.length > 0) {
+      errors.push(`ENRICH_LOOKUPS has unknown entries: ${unknownLookups.join(', ')} (use mapping, rss, podcastindex)`);
+    }
+    if (this.enrichment.lookups.includes('rss') && !this.enrichment.rssDir) {
+      errors.push('ENRICH_RSS_DIR is required for the rss lookup');
+    }
+    if (this.enrichment.lookups.includes('podcastindex') && !(this.enrichment.podcastIndex.key && this.enrichment.podcastIndex.secret)) {
+      errors.push('PODCASTINDEX_API_KEY and PODCASTINDEX_API_SECRET are required for the podcastindex lookup');
+    }
+    const unknownDigests = this.digest.schedules.filter(s => !['daily', 'weekly', 'show'].includes(s));
+    if (unknownDigests.length > 0) {
+      errors.push(`DIGEST_SCHEDULE has unknown entries: ${unknownDigests.join(', ')} (use daily, weekly, show)`);
+    }
+    // A remote signer replaces the local key entirely
+    if (this.nostr.bunkerUri) {
+      if (!this.nostr.bunkerUri.startsWith('bunker://')) {
+        errors.push('NOSTR_BUNKER_URI must be a bunker:// URI');
+      }
+      return errors;
+    }
     if (!this.nostr.nsec || this.nostr.nsec === 'your_nostr_private_key_here') {
-      errors.push('NOSTR_NSEC is required and must be a valid nsec key');
+      errors.push('NOSTR_NSEC or NOSTR_BUNKER_URI is required');
     }
     if (!this.nostr.nsec?.startsWith('nsec1') || this.nostr.nsec.length !== 63) {
       errors.push('NOSTR_NSEC must be a valid nsec1 format');
@@ -94,78 +425,305 @@ class Security {
       return true;
     };
   }
+
+  // Express middleware requiring "Authorization: Bearer <ADMIN_TOKEN>"
+  static createAdminAuth(token) {
+    const expected = token ? crypto.createHash('sha256').update(token).digest() : null;
+
+    return (req, res, next) => {
+      if (!expected) {
+        return res.status(503).json({ error: 'Admin API disabled, set ADMIN_TOKEN to enable it' });
+      }
+      const [scheme, provided] = (req.get('Authorization') || '').split(' ');
+      // Compare digests so the check takes the same time whatever the input length
+      const actual = crypto.createHash('sha256').update(provided || '').digest();
+      if (scheme !== 'Bearer' || !crypto.timingSafeEqual(actual, expected)) {
+        logger.warn(`🔒 Rejected admin request from ${req.ip} to ${req.method} ${req.path}`);
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+      next();
+    };
+  }
 }
 
+// Addressable application-specific data (NIP-78), one per boost, keyed by the note it describes
+const BOOST_DATA_KIND = 30078;
+const DM_RELAY_LIST_KIND = 10050;
+const DM_RELAYS_TTL_MS = 60 * 60 * 1000;
+// The public fields of a boost; parser internals and lookups stay out of the published event
+const BOOST_DATA_FIELDS = ['sender', 'show', 'track', 'message'];
+
 // Enhanced Nostr client
 class NostrClient {
-  constructor(nsec, relays, testMode = false) {
-    this.nsec = nsec;
+  constructor(signer, relays, testMode = false, options = {}) {
+    this.signer = signer;
     this.relays = relays;
+    this.relaySets = options.relaySets || {}; // name -> urls, for boosts routed elsewhere by a rule
+    this.allRelays = [...new Set([relays, ...Object.values(this.relaySets)].flat())];
     this.testMode = testMode;
-    this.secretKey = this._getSecretKey();
+    this.hashtags = options.hashtags || ['v4v'];
+    this.relayStats = new RelayStats(this.allRelays, options.relayStats);
+    this.recentEvents = options.recentEvents || null;
+    this.onRelayResult = options.onRelayResult || null; // (eventId, url, result) => void
+    this.onPublish = options.onPublish || null; // (event) => void, for every event we sign and publish
+    this.dmRelays = new Map(); // pubkey -> { relays, at }, from their kind-10050 list
+    this.pool = testMode ? null : new RelayPool(this.allRelays, {
+      onNotice: (url, message) => this.relayStats.recordNotice(url, message)
+    });
+    this.outbox = testMode ? null : new Outbox({
+      file: options.outboxFile,
+      relays,
+      relaySets: this.relaySets,
+      minAccepted: options.minAccepted,
+      publish: (url, event) => this._publishToRelay(url, event)
+    });
   }
 
-  _getSecretKey() {
-    try {
-      const { data } = nip19.decode(this.nsec);
-      return data;
-    } catch (error) {
-      throw new Error(`Invalid nsec format: ${error.message}`);
+  async connect() {
+    await this.signer.connect();
+    if (!this.pool) {
+      return;
     }
+    this.outbox.load();
+    this.outbox.start();
+    // Warm up connections in the background; publishes will wait for them as needed
+    this.pool.connectAll().then(results => {
+      const connected = results.filter(r => r.status === 'fulfilled').length;
+      logger.info(`Connected to ${connected}/${this.allRelays.length} Nostr relays`);
+    });
   }
 
   async publishMessage(content, tags = []) {
-    const event = finalizeEvent({
+    return await this.publishSigned(await this.signMessage(content, tags));
+  }
+
+  async signMessage(content, tags = []) {
+    return await this.signEvent({
       kind: 1,
       content,
       tags: [
-        ['t', 'v4v'],
+        ...this.hashtags.map(hashtag => ['t', hashtag]),
         ...tags
-      ],
+      ]
+    });
+  }
+
+  // Machine-readable companion to a kind-1 boost note, so clients don't have to parse prose
+  async publishBoostData(boost, noteId, index = null, relaySet = null) {
+    // Burst notes carry several boosts, so each one needs its own d tag
+    const tags = [
+      ['d', index === null ? noteId : `${noteId}:${index}`],
+      ['e', noteId, '', 'mention'],
+      ['amount', String(parseInt(boost.amount)), 'sats'],
+      ...this.hashtags.map(hashtag => ['t', hashtag]),
+      ['alt', `V4V boost: ${boost.amount} sats from ${boost.sender || 'anonymous'}`]
+    ];
+    if (boost.sender) tags.push(['sender', boost.sender]);
+    if (boost.senderPubkey) tags.push(['p', boost.senderPubkey]);
+    if (boost.show) tags.push(['show', boost.show]);
+    if (boost.track) tags.push(['track', boost.track]);
+    if (boost.message) tags.push(['message', boost.message]);
+
+    const data = { amount: parseInt(boost.amount) };
+    for (const field of BOOST_DATA_FIELDS) {
+      if (boost[field]) data[field] = boost[field];
+    }
+
+    // Goes to the same relays as its note, including a relay set a rule routed it to
+    return await this.publishEvent({
+      kind: BOOST_DATA_KIND,
+      content: JSON.stringify(data),
+      tags
+    }, { relaySet });
+  }
+
+  async getPublicKey() {
+    return await this.signer.getPublicKey();
+  }
+
+  // NIP-17 private DM: kind-14 rumor, sealed by us (kind 13), gift-wrapped with a throwaway key (kind 1059)
+  async sendDirectMessage(recipientPubkey, message) {
+    const rumor = {
+      kind: 14,
+      pubkey: await this.getPublicKey(),
+      content: message,
+      tags: [['p', recipientPubkey]],
+      created_at: Math.floor(Date.now() / 1000)
+    };
+    rumor.id = getEventHash(rumor);
+
+    const seal = await this.signer.signEvent({
+      kind: 13,
+      content: await this.signer.nip44Encrypt(recipientPubkey, JSON.stringify(rumor)),
+      tags: [],
+      created_at: this._randomPastTimestamp()
+    });
+    const wrap = createWrap(seal, recipientPubkey);
+
+    if (this.testMode) {
+      logger.info('TEST MODE - Would send DM:', { recipient: recipientPubkey, message });
+      return { success: true, published: 0, failed: 0, eventId: wrap.id };
+    }
+
+    // NIP-17: deliver to the relays the recipient reads DMs from, or ours if they haven't listed any
+    const relays = await this._dmRelaysFor(recipientPubkey);
+    if (relays.length === 0) {
+      const result = await this._publishToRelays(wrap);
+      return { ...result, eventId: wrap.id };
+    }
+    const results = await Promise.allSettled(relays.map(url => this.pool.publishOnce(url, wrap)));
+    const published = results.filter(result => result.status === 'fulfilled').length;
+    logger.info(`Sent DM to ${published}/${relays.length} of the recipient's DM relays`);
+    return { success: published > 0, published, failed: relays.length - published, eventId: wrap.id };
+  }
+
+  async _dmRelaysFor(pubkey) {
+    const cached = this.dmRelays.get(pubkey);
+    if (cached && Date.now() - cached.at < DM_RELAYS_TTL_MS) {
+      return cached.relays;
+    }
+
+    const filter = { kinds: [DM_RELAY_LIST_KIND], authors: [pubkey], limit: 1 };
+    const results = await Promise.allSettled(this.relays.map(url => this.pool.query(url, filter)));
+    const latest = results
+      .flatMap(result => (result.status === 'fulfilled' ? result.value : []))
+      .sort((a, b) => b.created_at - a.created_at)[0];
+    const relays = latest
+      ? [...new Set(latest.tags.filter(tag => tag[0] === 'relay' && /^wss?:\/\//.test(tag[1] || '')).map(tag => tag[1]))]
+      : [];
+    this.dmRelays.set(pubkey, { relays, at: Date.now() });
+    return relays;
+  }
+
+  // NIP-59 recommends fuzzing timestamps up to two days back
+  _randomPastTimestamp() {
+    return Math.floor(Date.now() / 1000 - Math.random() * 2 * 24 * 60 * 60);
+  }
+
+  async publishEvent(template, options = {}) {
+    return await this.publishSigned(await this.signEvent(template), options);
+  }
+
+  async signEvent(template) {
+    return await this.signer.signEvent({
+      ...template,
       created_at: Math.floor(Date.now() / 1000),
-    }, this.secretKey);
+    });
+  }
+
+  // options.relaySet publishes to a named relay set instead of the default relays.
+  // options.recent lists a boost note for the admin API; deletions, profiles, DMs and the like stay out
+  async publishSigned(event, options = {}) {
+    const relaySet = options.relaySet || null;
+    if (this.recentEvents && options.recent) {
+      this.recentEvents.record(event, relaySet);
+    }
+    this.onPublish?.(event);
 
     if (this.testMode) {
-      logger.info('TEST MODE - Would publish:', { content, tags, relays: this.relays });
-      return { success: true, published: 0, failed: 0 };
+      logger.info('TEST MODE - Would publish:', { kind: event.kind, content: event.content, tags: event.tags, relays: this.relaySets[relaySet] || this.relays });
+      return { success: true, published: 0, failed: 0, eventId: event.id, event };
     }
 
-    return await this._publishToRelays(event);
+    const result = await this._publishToRelays(event, relaySet);
+    return { ...result, eventId: event.id, event };
   }
 
-  async _publishToRelays(event) {
-    const results = await Promise.allSettled(
-      this.relays.map(url => this._publishToRelay(url, event))
-    );
+  // NIP-09 deletion request. companions are the kind-30078 events published for a note,
+  // retracted in the same request by id and by address
+  async deleteEvent(event, reason = '', relaySet = null, companions = []) {
+    const tags = [
+      ['e', event.id],
+      ['k', String(event.kind)]
+    ];
+    if (companions.length > 0) {
+      const pubkey = await this.getPublicKey();
+      for (const companion of companions) {
+        tags.push(['e', companion.id]);
+        tags.push(['a', `${BOOST_DATA_KIND}:${pubkey}:${companion.d}`]);
+      }
+      tags.push(['k', String(BOOST_DATA_KIND)]);
+    }
+    return await this.publishEvent({ kind: 5, content: reason, tags }, { relaySet });
+  }
 
-    const successful = results.filter(r => r.status === 'fulfilled').length;
-    const failed = results.filter(r => r.status === 'rejected').length;
+  async _publishToRelays(event, relaySet = null) {
+    // The outbox keeps the event on disk and retries failed relays until enough accept it
+    const result = await this.outbox.add(event, relaySet);
 
-    logger.info(`Published to ${successful}/${this.relays.length} relays`);
-    return { success: successful > 0, published: successful, failed };
+    const total = (this.relaySets[relaySet] || this.relays).length;
+    logger.info(`Published to ${result.published}/${total} relays${relaySet ? ` (relay set ${relaySet})` : ''}`);
+    return result;
   }
 
   async _publishToRelay(url, event) {
-    const relay = await Relay.connect(url);
+    const startedAt = Date.now();
     try {
-      await relay.publish(event);
+      const reason = await this.pool.publish(url, event);
+      this.relayStats.recordAccepted(url, Date.now() - startedAt, reason);
+      this.onRelayResult?.(event.id, url, { accepted: true, reason: reason || '' });
       logger.debug(`Published to ${url}`);
       return url;
-    } finally {
-      relay.close();
+    } catch (error) {
+      this.relayStats.recordFailure(url, Date.now() - startedAt, error);
+      this.onRelayResult?.(event.id, url, { accepted: false, reason: error.message });
+      logger.debug(`Publish to ${url} failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  getRelayStatus() {
+    return this.pool ? this.pool.getStatus() : {};
+  }
+
+  getOutboxStats() {
+    return this.outbox ? this.outbox.getStats() : null;
+  }
+
+  close() {
+    if (this.outbox) {
+      this.outbox.stop();
+    }
+    if (this.pool) {
+      this.pool.close();
     }
+    this.signer.close().catch(error => {
+      logger.debug(`Error closing signer: ${error.message}`);
+    });
   }
 }
 
-// Main application class
-class LibreRelayBotBridge {
-  constructor() {
-    this.config = new Config();
+// One IRC channel bridged to one Nostr identity; BridgeRuntime runs any number of them
+class BoostBridge {
+  constructor(config) {
+    this.config = config;
+    this.name = config.name;
     this.stats = this._initStats();
     this.ircClient = null;
     this.nostrClient = null;
-    this.rateLimiter = Security.createRateLimiter(5, 60000);
-    this._setupGlobalErrorHandlers();
+    this.digest = null;
+    this.showThreads = null;
+    this.alerts = null;
+    this.senderRegistry = new SenderRegistry({
+      file: this.config.senders.file,
+      nip05Domain: this.config.senders.nip05Domain
+    });
+    this.deduplicator = new BoostDeduplicator({
+      file: path.join(this.config.app.dataDir, 'dedup.json'),
+      windowMs: this.config.app.dedupWindowMinutes * 60 * 1000
+    });
+    this.burstQueues = new Map();
+    this.recentEvents = new RecentEvents({ file: path.join(this.config.app.dataDir, 'recent-events.json') });
+    this.auditLog = new AuditLog(path.join(this.config.app.dataDir, 'audit.log'));
+    this.archive = new BoostArchive({ file: path.join(this.config.app.dataDir, 'boosts.jsonl') });
+    this.embeddedRelay = null;
+    this.identity = null;
+    this.parsers = new BoostParserRegistry({ file: this.config.parsers.file });
+    this.templates = new NoteTemplates({ file: this.config.templates.file });
+    this.fiatRates = null;
+    this.enricher = null;
+    this.rules = new ForwardingRules({ file: this.config.rules.file });
+    this.moderation = null;
   }
 
   _initStats() {
@@ -174,79 +732,235 @@ class LibreRelayBotBridge {
       messagesMonitored: 0,
       successfulPosts: 0,
       failedPosts: 0,
+      duplicatesSuppressed: 0,
+      boostsDropped: 0,
       lastActivity: null,
       relayStats: {}
     };
   }
 
-  _setupGlobalErrorHandlers() {
-    process.on('uncaughtException', (error) => {
-      logger.error('Uncaught exception:', { error: error.message, stack: error.stack });
-      
-      // Don't exit immediately on IRC-related errors - try to recover
-      if (error.message && error.message.includes('Cannot read properties of null')) {
-        logger.warn('Detected IRC library null reference error, attempting recovery...');
-        setTimeout(() => {
-          if (this.ircClient) {
-            this.ircClient.resetAndReconnect();
-          }
-        }, 5000);
-        return;
+  // The runtime validates the config before starting any bridge
+  async start() {
+    await this.parsers.load();
+    this.templates.load();
+    this.templates.validate(line => this.parsers.parse(line, this.config.app.targetBot, { count: false }));
+    const formatter = this.config.app.formatter;
+    if (!['v4v', 'raw'].includes(formatter) && !this.templates.names().includes(formatter.toLowerCase())) {
+      throw new Error(`Unknown formatter "${formatter}" (use v4v, raw or a template set from ${this.templates.file})`);
+    }
+    this.rules.load({ relaySets: this.config.nostr.relaySets, templates: this.templates.names() });
+    await this._initializeFiatRates();
+    this._initializeEnrichment();
+    await this._initializeNostrClient();
+    // Identity goes first so the embedded relay can serve the profile and relay list
+    await this._publishIdentity();
+    await this._initializeEmbeddedRelay();
+    this._initializeAlerts();
+    this._initializeDigest();
+    this._initializeModeration();
+    this._initializeShowThreads();
+    // Creating the queues up front resumes anything left waiting before a restart
+    for (const target of this.config.app.targetBots) {
+      this._burstQueue(target);
+    }
+    await this._initializeIRCClient();
+
+    logger.info(`🚀 Bridge ${this.name} started`);
+  }
+
+  async _initializeNostrClient() {
+    try {
+      const signer = createSigner(this.config.nostr, {
+        clientKeyFile: path.join(this.config.app.dataDir, 'nip46-client.json')
+      });
+      this.nostrClient = new NostrClient(
+        signer,
+        this.config.nostr.relays,
+        this.config.app.testMode,
+        {
+          outboxFile: path.join(this.config.app.dataDir, 'outbox.json'),
+          minAccepted: this.config.nostr.minRelayAccepts,
+          relaySets: this.config.nostr.relaySets,
+          hashtags: this.config.nostr.hashtags,
+          relayStats: this.stats.relayStats,
+          recentEvents: this.recentEvents,
+          onRelayResult: (eventId, url, result) => this.archive.recordRelayResult(eventId, url, result),
+          onPublish: (event) => this.embeddedRelay?.add(event)
+        }
+      );
+      await this.nostrClient.connect();
+      logger.info(`✅ Nostr client initialized (${signer.type} signer)`);
+    } catch (error) {
+      logger.error('❌ Failed to initialize Nostr client:', error);
+      throw error;
+    }
+  }
+
+  // Seeded from the archive and the published identity so clients can backfill; retracted notes stay out
+  async _initializeEmbeddedRelay() {
+    if (!this.config.app.embeddedRelay) {
+      return;
+    }
+    this.embeddedRelay = new EmbeddedRelay({
+      pubkey: await this.nostrClient.getPublicKey(),
+      name: `LibreRelayBot ${this.name} relay`
+    });
+    for (const event of this.identity?.publishedEvents() || []) {
+      this.embeddedRelay.add(event);
+    }
+    // Retractions from before the archive kept them are only in the recent events
+    const retracted = new Set(this.recentEvents.list(Infinity).filter(event => event.deleted).map(event => event.id));
+    for (const record of this.archive.query().reverse()) {
+      if (!record.deleted && !retracted.has(record.eventId)) {
+        this.embeddedRelay.add(record.event);
+        if (record.structured) {
+          this.embeddedRelay.add(record.structured);
+        }
       }
-      
-      this._gracefulShutdown(1);
+    }
+    logger.info(`📡 Embedded relay for ${this.name} seeded with ${this.embeddedRelay.getStats().events} event(s)`);
+  }
+
+  async _initializeFiatRates() {
+    const fiat = this.config.fiat;
+    if (!fiat.provider) {
+      return;
+    }
+    this.fiatRates = new FiatRates({
+      provider: fiat.provider,
+      source: fiat.source,
+      jsonPath: fiat.jsonPath,
+      currency: fiat.currency,
+      decimals: fiat.decimals,
+      maxAgeMs: fiat.maxAgeMinutes * 60 * 1000,
+      refreshMs: fiat.refreshMinutes * 60 * 1000
     });
+    await this.fiatRates.start();
+    logger.info(`💱 Fiat estimates in ${fiat.currency} from ${fiat.provider} provider`);
+  }
 
-    process.on('unhandledRejection', (reason, promise) => {
-      logger.error('Unhandled rejection:', { reason, promise });
-      
-      // Don't crash on promise rejections - log and continue
-      if (reason && typeof reason === 'object' && reason.message) {
-        logger.warn('Handling promise rejection gracefully:', reason.message);
+  _initializeEnrichment() {
+    const enrichment = this.config.enrichment;
+    if (enrichment.lookups.length === 0) {
+      return;
+    }
+    const lookups = enrichment.lookups.map(name => {
+      switch (name) {
+        case 'mapping':
+          return new MappingLookup({ file: enrichment.mappingFile });
+        case 'rss':
+          return new RssCacheLookup({ dir: enrichment.rssDir });
+        default:
+          return new PodcastIndexLookup(enrichment.podcastIndex);
       }
     });
+    this.enricher = new FeedEnricher({
+      lookups,
+      cacheFile: path.join(this.config.app.dataDir, 'feed-cache.json'),
+      cacheTtlMs: enrichment.cacheHours * 60 * 60 * 1000
+    });
+    logger.info(`🖼️ Feed enrichment via ${enrichment.lookups.join(', ')}`);
+  }
 
-    ['SIGINT', 'SIGTERM'].forEach(signal => {
-      process.on(signal, () => this._gracefulShutdown(0));
+  _initializeModeration() {
+    const moderation = this.config.moderation;
+    if (moderation.mode === 'off') {
+      return;
+    }
+    this.moderation = new ModerationQueue({
+      file: path.join(this.config.app.dataDir, 'moderation.json'),
+      strict: moderation.mode === 'strict',
+      timeoutMs: moderation.timeoutMinutes * 60 * 1000,
+      onTimeout: moderation.onTimeout,
+      words: moderation.words,
+      maxLength: moderation.maxLength,
+      release: (item) => (item.boost
+        ? this._postToNostr(item.message, item.source, item.channel, item.edits)
+        : this._postToNostr(item.edits.message ?? item.message, item.source, item.channel))
     });
+    this.moderation.start();
+    logger.info(`🛡️ Moderation enabled (${moderation.mode}, unreviewed boosts ${moderation.onTimeout === 'approve' ? 'auto-approve' : 'expire'} after ${moderation.timeoutMinutes}m)`);
   }
 
-  async start() {
-    try {
-      const validationErrors = this.config.validate();
-      if (validationErrors.length > 0) {
-        logger.error('Configuration errors:', validationErrors);
-        process.exit(1);
-      }
+  _initializeAlerts() {
+    this.alerts = new AlertManager({
+      recipients: this.config.alerts.npubs.map(npub => nip19.decode(npub).data),
+      minSeverity: this.config.alerts.minSeverity,
+      cooldownMs: this.config.alerts.cooldownMinutes * 60 * 1000,
+      send: (pubkey, message) => this.nostrClient.sendDirectMessage(pubkey, message)
+    });
+    if (this.alerts.enabled) {
+      logger.info(`🔔 Operator alerts enabled for ${this.config.alerts.npubs.length} npub(s)`);
+    }
+  }
 
-      this._initializeNostrClient();
-      await this._initializeIRCClient();
-      this._startWebServer();
-      
-      logger.info('🚀 LibreRelayBot bridge started successfully');
-    } catch (error) {
-      logger.error('Failed to start bridge:', error);
-      process.exit(1);
+  // Fire-and-forget: alerting must never break the code path that raised it. The returned
+  // promise never rejects, for callers that need the alert out before they go on (e.g. exiting)
+  _alert(severity, key, message) {
+    if (!this.alerts) {
+      return Promise.resolve(false);
+    }
+    return this.alerts.alert(severity, key, `[${this.name}] ${message}`).catch(error => {
+      logger.error('Failed to send operator alert:', error);
+      return false;
+    });
+  }
+
+  _initializeDigest() {
+    this.digest = new BoostDigest({
+      schedules: this.config.digest.schedules,
+      hour: this.config.digest.hour,
+      weekday: this.config.digest.weekday,
+      showIdleMs: this.config.digest.showIdleMinutes * 60 * 1000,
+      stateFile: path.join(this.config.app.dataDir, 'digests.json'),
+      // Same footer as the bridge's notes; the note itself already carries the bridge's hashtags
+      footer: this.templates.footer(this._templateSet(this.config.irc.channels[0])),
+      hashtags: this.config.nostr.hashtags,
+      publish: (content, tags) => this.nostrClient.publishMessage(content, tags)
+    });
+    this.digest.start();
+    if (this.digest.enabled) {
+      logger.info(`📊 Boost digests enabled: ${this.config.digest.schedules.join(', ')}`);
+    }
+  }
+
+  _initializeShowThreads() {
+    if (!this.config.nostr.threadByShow) {
+      return;
     }
+    this.showThreads = new ShowThreads({
+      stateFile: path.join(this.config.app.dataDir, 'show-threads.json'),
+      maxAgeMs: this.config.nostr.threadMaxAgeHours * 60 * 60 * 1000,
+      relayHint: this.config.nostr.relays[0]
+    });
+    logger.info('🧵 Threading boosts under per-show root notes');
   }
 
-  _initializeNostrClient() {
+  async _publishIdentity() {
     try {
-      this.nostrClient = new NostrClient(
-        this.config.nostr.nsec,
-        this.config.nostr.relays,
-        this.config.app.testMode
-      );
-      logger.info('✅ Nostr client initialized');
+      this.identity = new IdentityPublisher(this.nostrClient, {
+        profile: this.config.nostr.profile,
+        readRelays: this.config.nostr.readRelays || this.config.nostr.relays,
+        writeRelays: this.config.nostr.relays,
+        publishRelayList: this.config.nostr.publishRelayList,
+        stateFile: path.join(this.config.app.dataDir, 'identity.json')
+      });
+      await this.identity.publish();
     } catch (error) {
-      logger.error('❌ Failed to initialize Nostr client:', error);
-      throw error;
+      // A missing profile shouldn't keep boosts from flowing
+      logger.error('⚠️ Failed to publish Nostr profile/relay list:', error);
     }
   }
 
   async _initializeIRCClient() {
     try {
       this.ircClient = new IRCClient(this.config.irc);
+      this.ircClient.onMaxReconnectAttempts = (attempts) => {
+        this._alert('critical', 'irc-reconnect', `IRC gave up reconnecting to ${this.config.irc.server} after ${attempts} attempts`);
+      };
+      this.ircClient.onAuthFailed = (reason) => {
+        this._alert('critical', 'irc-auth', `IRC authentication to ${this.config.irc.server} failed, channels not joined: ${reason}`);
+      };
       
       // Enhanced message handler with error catching
       const originalConnect = this.ircClient.connect.bind(this.ircClient);
@@ -262,7 +976,7 @@ class LibreRelayBotBridge {
             }
           });
           
-          logger.info(`🎯 Monitoring ${this.config.app.targetBot} in ${this.config.irc.channels[0]}`);
+          logger.info(`🎯 Monitoring ${this.config.app.targetBots.join(', ')} in ${this.config.irc.channels[0]} for ${this.name}`);
         }
       };
       
@@ -274,8 +988,8 @@ class LibreRelayBotBridge {
   }
 
   async _handleIRCMessage(from, to, message) {
-    // Only monitor messages from the target bot
-    if (from !== this.config.app.targetBot) {
+    // Only monitor messages from the target bots
+    if (!this.config.app.targetBots.includes(from)) {
       return;
     }
 
@@ -283,78 +997,83 @@ class LibreRelayBotBridge {
     this.stats.messagesMonitored++;
     this.stats.lastActivity = new Date();
 
-    // Rate limiting
-    if (!this.rateLimiter(from)) {
-      logger.warn(`⚠️ Rate limit exceeded for ${from}`);
+    // Skip boosts we've already posted (reconnects, bouncer playback, net-split rejoins)
+    const sanitizedMessage = Security.sanitizeMessage(message);
+    const boost = this.parsers.parse(sanitizedMessage, from, { count: false });
+    if (this.deduplicator.isDuplicate(sanitizedMessage, boost)) {
+      this.stats.duplicatesSuppressed++;
       return;
     }
 
-    // Post to Nostr
-    if (this.nostrClient) {
-      await this._postToNostr(message);
+    // Forwarding rules drop boosts before they take a rate-limit slot
+    if (this.rules.evaluate(boost, { source: from, channel: to, raw: sanitizedMessage }).action === 'drop') {
+      this.stats.boostsDropped++;
+      return;
     }
-  }
 
-  _formatV4VMessage(rawMessage) {
-    try {
-      // Parse the typical format: "X sats from USER via v4v-music | SHOW | TRACK | MESSAGE"
-      const parts = rawMessage.split(' | ');
-      
-      if (parts.length < 3) {
-        // If parsing fails, return formatted raw message
-        return `${rawMessage}\n\n#V4V\nhttps://v4vmusic.com`;
+    // Held boosts are posted when approved, bypassing the rate limit
+    if (this.moderation) {
+      const reasons = this.moderation.reasons(boost, sanitizedMessage);
+      if (reasons.length > 0) {
+        this.moderation.hold(message, { source: from, channel: to }, boost, reasons);
+        this._alert('info', 'moderation-hold', `A boost is waiting for moderation: ${reasons.join('; ')}`);
+        return;
       }
+    }
 
-      // Extract components
-      const boostInfo = parts[0]; // "100 sats from ericpp via v4v-music"
-      const showInfo = parts[1]; // "119th Edition - Live - Christmas Special" 
-      const trackInfo = parts[2]; // Track title or "None"
-      const messageInfo = parts.length > 3 ? parts[3] : '';
-
-      // Extract sats amount and sender from boost info
-      const boostMatch = boostInfo.match(/(\d+)\s+sats\s+from\s+(\w+)/);
-      const amount = boostMatch ? boostMatch[1] : '';
-      const sender = boostMatch ? boostMatch[2] : '';
+    // Rate limiting: boosts over the limit wait in the target's queue instead of being dropped
+    if (!this._burstQueue(from).admit(message, { source: from, channel: to })) {
+      return;
+    }
 
-      // Format the message
-      let formatted = '';
-      
-      if (amount && sender) {
-        formatted += `⚡ ${amount} sats from ${sender}\n\n`;
-      }
+    // Post to Nostr
+    if (this.nostrClient) {
+      await this._postToNostr(message, from, to);
+    }
+  }
 
-      if (showInfo && showInfo !== 'None') {
-        formatted += `🎵 ${showInfo}\n\n`;
-      }
+  _burstQueue(target) {
+    if (!this.burstQueues.has(target)) {
+      const limits = this.config.rateLimitFor(target);
+      this.burstQueues.set(target, new BurstQueue({
+        target,
+        limiter: Security.createRateLimiter(limits.maxRequests, limits.windowSeconds * 1000),
+        mode: limits.mode,
+        maxCoalesce: limits.maxCoalesce,
+        file: path.join(this.config.app.dataDir, `burst-queue-${target.replace(/[^\w-]/g, '_')}.json`),
+        release: (queued) => this._postBurstToNostr(queued, target)
+      }));
+    }
+    return this.burstQueues.get(target);
+  }
 
-      if (trackInfo && trackInfo !== 'None') {
-        // Clean up track info - extract title and artist if possible
-        const cleanTrack = trackInfo.replace(/^["']|["']$/g, ''); // Remove quotes
-        formatted += `🎧 ${cleanTrack}\n\n`;
-      }
+  // A bridge whose formatter names a template set uses it instead of per-channel selection
+  _templateSet(channel) {
+    const formatter = this.config.app.formatter;
+    return formatter === 'v4v' || formatter === 'raw' ? channel : formatter;
+  }
 
-      // Add boost message if available
-      if (messageInfo) {
-        const cleanMessage = messageInfo.replace(/^["']|["']$/g, '').replace(/sent from v4vmusic\.com.*$/, '');
-        const trimmed = cleanMessage.trim().toLowerCase();
-        if (cleanMessage.trim() && 
-            trimmed !== 'no message' && 
-            !trimmed.startsWith('auto boost')) {
-          formatted += `💬 ${cleanMessage}\n\n`;
-        }
-      }
-
-      // Add V4V info
-      formatted += `#V4V\nhttps://v4vmusic.com`;
-
-      return formatted;
+  // A template picked by a forwarding rule applies even on a bridge that otherwise posts raw lines
+  _formatV4VMessage(rawMessage, boost, channel, ruleTemplate = null) {
+    if (this.config.app.formatter === 'raw' && !ruleTemplate) {
+      return rawMessage;
+    }
+    const set = ruleTemplate || channel;
+    try {
+      return this.templates.format(rawMessage, boost, set, {
+        fiat: this.fiatRates?.format(boost?.amount) || '',
+        link: boost?.feed?.item?.link || boost?.feed?.link || '',
+        image: boost?.feed?.item?.image || boost?.feed?.image || ''
+      });
     } catch (error) {
-      logger.warn('Failed to parse V4V message, using raw format:', error.message);
-      return `${rawMessage}\n\n#V4V\nhttps://v4vmusic.com`;
+      logger.warn('Failed to render note template, using raw format:', error.message);
+      return `${rawMessage}\n\n${this.templates.footer(set)}`;
     }
   }
 
-  async _postToNostr(message) {
+  // source is the IRC nick the line came from, which decides the parsers that apply.
+  // edits replace parsed fields, e.g. a message a moderator cleaned up.
+  async _postToNostr(message, source = this.config.app.targetBot, channel = this.config.irc.channels[0], edits = null) {
     try {
       const sanitizedMessage = Security.sanitizeMessage(message);
       if (!sanitizedMessage) {
@@ -363,20 +1082,653 @@ class LibreRelayBotBridge {
       }
 
       // Format the message with V4V layout
-      const formattedMessage = this._formatV4VMessage(sanitizedMessage);
-
-      const result = await this.nostrClient.publishMessage(formattedMessage);
-      
-      if (result.success) {
-        this.stats.successfulPosts++;
-        logger.info(`✅ Posted to Nostr: ${sanitizedMessage.substring(0, 50)}...`);
-      } else {
-        this.stats.failedPosts++;
-        logger.error('❌ Failed to post to any Nostr relays');
+      const boost = await this._prepareBoost(sanitizedMessage, source, edits);
+      // Already logged when the line arrived; look the decision up again for its route
+      const decision = this.rules.evaluate(boost, { source, channel, raw: sanitizedMessage }, { record: false });
+      if (decision.action === 'drop') {
+        return;
+      }
+      const formattedMessage = this._formatV4VMessage(sanitizedMessage, boost, this._templateSet(channel), decision.template);
+      const tags = boost?.senderPubkey ? [['p', boost.senderPubkey]] : [];
+      if (this.config.app.formatter === 'raw') {
+        tags.push(['r', `irc://${this.config.irc.server}/${this.config.irc.channels[0]}`]);
       }
+      // NIP-92: imeta only describes URLs that are in the content, which depends on the template
+      tags.push(...FeedEnricher.tags(boost?.feed).filter(tag => tag[0] !== 'imeta' || formattedMessage.includes(tag[1].slice(4))));
+
+      // In threading mode, reply to the show's root note or become the root ourselves
+      const result = await this._publishInThread(boost?.show, async (threadTags) => {
+        // Archive before publishing so relay results have a record to attach to
+        const event = await this.nostrClient.signMessage(formattedMessage, [...threadTags, ...tags]);
+        this.archive.record({ raw: message, boost, event });
+        return await this.nostrClient.publishSigned(event, { relaySet: decision.relaySet, recent: true });
+      });
+
+      this._recordPublishResult(result, sanitizedMessage);
+      await this._afterBoostPublished(boost ? [boost] : [], result.eventId, decision.relaySet);
     } catch (error) {
       this.stats.failedPosts++;
       logger.error('❌ Error posting to Nostr:', error);
+      this._alert('warning', 'publish-error', `Error posting a boost to Nostr: ${error.message}`);
+    }
+  }
+
+  // Several rate-limited boosts released together go out as one "burst" note. Each queued
+  // boost keeps the source and channel it arrived with; older queue files fall back to the defaults.
+  async _postBurstToNostr(queued, source = this.config.app.targetBot) {
+    const items = queued.map(item => ({ source, channel: this.config.irc.channels[0], ...item }));
+    if (items.length === 1) {
+      return await this._postToNostr(items[0].message, items[0].source, items[0].channel);
+    }
+
+    try {
+      const entries = [];
+      for (const item of items) {
+        const sanitizedMessage = Security.sanitizeMessage(item.message);
+        if (!sanitizedMessage) {
+          continue;
+        }
+        const boost = await this._prepareBoost(sanitizedMessage, item.source);
+        const context = { source: item.source, channel: item.channel, raw: sanitizedMessage };
+        const decision = this.rules.evaluate(boost, context, { record: false });
+        if (decision.action === 'drop') {
+          continue;
+        }
+        // Boosts routed to other relays or templates can't share the burst note
+        if (decision.relaySet || decision.template) {
+          await this._postToNostr(item.message, item.source, item.channel);
+          continue;
+        }
+        entries.push({ message: item.message, source: item.source, channel: item.channel, raw: sanitizedMessage, boost });
+      }
+      if (entries.length === 0) {
+        return;
+      }
+      if (entries.length === 1) {
+        return await this._postToNostr(entries[0].message, entries[0].source, entries[0].channel);
+      }
+
+      const boosts = entries.map(entry => entry.boost).filter(Boolean);
+      const pubkeys = [...new Set(boosts.map(boost => boost.senderPubkey).filter(Boolean))];
+      const shows = new Set(entries.map(entry => entry.boost?.show || ''));
+      const show = shows.size === 1 ? [...shows][0] : '';
+
+      // A burst from one show links the feed, but not per-track items or artwork
+      const feed = show ? boosts.find(boost => boost.feed)?.feed : null;
+      const feedTags = FeedEnricher.tags(feed && { ...feed, item: null }, { withImage: false });
+
+      const result = await this._publishInThread(show, async (threadTags) => {
+        const event = await this.nostrClient.signMessage(
+          this._formatBurstMessage(entries, show),
+          [...threadTags, ...pubkeys.map(pubkey => ['p', pubkey]), ...feedTags]
+        );
+        entries.forEach((entry, index) => {
+          this.archive.record({ raw: entry.message, boost: entry.boost, event, index });
+        });
+        return await this.nostrClient.publishSigned(event, { recent: true });
+      });
+
+      this._recordPublishResult(result, `burst of ${entries.length} boosts`);
+      await this._afterBoostPublished(entries.map(entry => entry.boost), result.eventId);
+    } catch (error) {
+      this.stats.failedPosts++;
+      logger.error('❌ Error posting boost burst to Nostr:', error);
+      this._alert('warning', 'publish-error', `Error posting a boost burst to Nostr: ${error.message}`);
+    }
+  }
+
+  _formatBurstMessage(entries, show) {
+    if (this.config.app.formatter === 'raw') {
+      return entries.map(entry => entry.raw).join('\n');
+    }
+    const total = entries.reduce((sum, entry) => sum + (parseInt(entry.boost?.amount) || 0), 0);
+    const fiat = this.fiatRates?.format(total);
+    let formatted = `⚡ ${entries.length} boosts, ${total.toLocaleString('en-US')} sats${fiat ? ` (${fiat})` : ''}\n\n`;
+
+    if (show) {
+      formatted += `🎵 ${show}\n\n`;
+    }
+
+    for (const { raw, boost } of entries) {
+      if (!boost?.amount || !boost.sender) {
+        formatted += `• ${raw}\n`;
+        continue;
+      }
+      const sender = boost.senderPubkey ? `nostr:${nip19.npubEncode(boost.senderPubkey)}` : boost.sender;
+      formatted += `• ${boost.amount} sats from ${sender}`;
+      if (!show && boost.show) {
+        formatted += ` · 🎵 ${boost.show}`;
+      }
+      if (boost.track) {
+        formatted += ` · 🎧 ${boost.track}`;
+      }
+      formatted += '\n';
+      if (boost.message) {
+        formatted += `  💬 ${boost.message}\n`;
+      }
+    }
+
+    formatted += `\n${this.templates.footer(this._templateSet(entries[0].channel))}`;
+    return formatted;
+  }
+
+  // Edits are applied before the lookups so an edited sender or show gets its own pubkey and feed
+  async _prepareBoost(sanitizedMessage, source, edits = null) {
+    const boost = this.parsers.parse(sanitizedMessage, source);
+    if (boost) {
+      logger.debug(`Parsed boost with the ${boost.parser} parser`);
+      Object.assign(boost, edits);
+    }
+    if (boost?.sender) {
+      boost.senderPubkey = await this.senderRegistry.resolve(boost.sender);
+    }
+    if (this.enricher && boost?.show) {
+      boost.feed = await this.enricher.enrich(boost.show, boost.track);
+    }
+    return boost;
+  }
+
+  // publish(threadTags) signs and publishes the note. When it becomes the show's root,
+  // other boosts for the show wait for it before picking their reply tags.
+  async _publishInThread(show, publish) {
+    if (!this.showThreads || !show) {
+      return await publish([]);
+    }
+    const threadTags = await this.showThreads.replyTags(show, await this.nostrClient.getPublicKey());
+    if (threadTags) {
+      return await publish(threadTags);
+    }
+    try {
+      const result = await publish([]);
+      this.showThreads.setRoot(show, result.eventId);
+      return result;
+    } catch (error) {
+      this.showThreads.abandonRoot(show);
+      throw error;
+    }
+  }
+
+  _recordPublishResult(result, summary) {
+    if (result.success) {
+      this.stats.successfulPosts++;
+      logger.info(`✅ Posted to Nostr: ${summary.substring(0, 50)}...`);
+    } else {
+      this.stats.failedPosts++;
+      logger.error(`❌ Not enough Nostr relays accepted the post${result.queued ? ', queued in outbox for retry' : ''}`);
+      if (result.published === 0) {
+        this._alert('warning', 'publish-failed', `Every Nostr relay rejected a boost (${result.failed} failed), it is queued for retry`);
+      }
+    }
+  }
+
+  // boosts line up with the note's archive records; unparsed lines are null
+  async _afterBoostPublished(boosts, noteId, relaySet = null) {
+    for (const [i, boost] of boosts.entries()) {
+      if (!boost) {
+        continue;
+      }
+      if (this.digest) {
+        this.digest.record(boost);
+      }
+
+      // The note is signed and either published or queued, so its id is safe to reference
+      if (this.config.nostr.structuredEvents && boost.amount) {
+        await this._postBoostData(boost, noteId, boosts.length > 1 ? i : null, relaySet);
+      }
+    }
+  }
+
+  async _postBoostData(boost, noteId, index = null, relaySet = null) {
+    try {
+      const result = await this.nostrClient.publishBoostData(boost, noteId, index, relaySet);
+      this.archive.recordStructured(result.event);
+      // Remembered on the note so retracting it also retracts its companions
+      const note = this.recentEvents.get(noteId);
+      if (note) {
+        const d = result.event.tags.find(tag => tag[0] === 'd')[1];
+        this.recentEvents.update(noteId, { companions: [...(note.companions || []), { id: result.eventId, d }] });
+      }
+      if (!result.success) {
+        logger.warn(`⚠️ Structured boost event for ${noteId} not yet accepted by enough relays`);
+      }
+    } catch (error) {
+      logger.error('❌ Error posting structured boost event:', error);
+    }
+  }
+
+  getHealth() {
+    const auth = this.ircClient?.auth || null;
+    return {
+      healthy: Boolean(this.ircClient?.isConnected && auth?.status !== 'failed' && this.nostrClient),
+      connected: this.ircClient?.isConnected || false,
+      auth: auth && { status: auth.status, method: auth.method, error: auth.error }
+    };
+  }
+
+  getStatus() {
+    return {
+      ...this.stats,
+      uptime: Math.floor((Date.now() - this.stats.startTime) / 1000),
+      irc: {
+        connected: this.ircClient?.isConnected || false,
+        server: this.config.irc.server,
+        channels: this.config.irc.channels,
+        nick: this.ircClient?.currentNick() || null,
+        primaryNick: this.config.irc.nickname,
+        auth: this.ircClient?.auth || null,
+        monitoring: this.config.app.targetBots
+      },
+      nostr: {
+        configured: !!this.nostrClient,
+        signer: this.nostrClient?.signer.type || null,
+        relays: this.config.nostr.relays,
+        hashtags: this.config.nostr.hashtags,
+        connections: this.nostrClient?.getRelayStatus() || {},
+        outbox: this.nostrClient?.getOutboxStats() || null,
+        testMode: this.config.app.testMode
+      },
+      formatter: this.config.app.formatter,
+      digest: this.digest?.getStats() || null,
+      threads: this.showThreads?.getStats() || null,
+      alerts: this.alerts?.getStats() || null,
+      senders: this.senderRegistry.getStats(),
+      dedup: this.deduplicator.getStats(),
+      archive: this.archive.getStats(),
+      embeddedRelay: this.embeddedRelay?.getStats() || null,
+      parsers: this.parsers.getStats(),
+      fiat: this.fiatRates?.getStats() || null,
+      enrichment: this.enricher?.getStats() || null,
+      rules: this.rules.getStats(),
+      moderation: this.moderation?.getStats() || null,
+      burstQueues: Object.fromEntries([...this.burstQueues].map(([target, queue]) => [target, queue.getStats()]))
+    };
+  }
+
+  // Routes for this bridge, mounted by the runtime under /bridges/<name>
+  router() {
+    const app = express.Router();
+
+    // NIP-11 relay information for the embedded relay
+    app.get('/', (req, res, next) => {
+      if (!this.embeddedRelay || !req.accepts('application/nostr+json')) {
+        return next();
+      }
+      res.set('Access-Control-Allow-Origin', '*');
+      res.type('application/nostr+json').send(JSON.stringify(this.embeddedRelay.info()));
+    });
+
+    app.get('/health', (req, res) => {
+      const health = this.getHealth();
+      res.status(health.healthy ? 200 : 503).json({ ...health, timestamp: new Date().toISOString() });
+    });
+
+    app.get('/status', (req, res) => {
+      res.json(this.getStatus());
+    });
+
+    app.get('/relays', (req, res) => {
+      const connections = this.nostrClient?.getRelayStatus() || {};
+      res.json({
+        testMode: this.config.app.testMode,
+        // Every relay with stats, including ones only reached through a relay set
+        relays: Object.keys(this.stats.relayStats).map(url => ({
+          url,
+          connection: connections[url] || null,
+          ...this.stats.relayStats[url]
+        })),
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    app.get('/boosts', (req, res) => {
+      const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+      let filters;
+      try {
+        filters = this._archiveFilters(req.query);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      const boosts = this.archive.query({ ...filters, limit });
+      res.json({ count: boosts.length, boosts });
+    });
+
+    app.get('/boosts/export', (req, res) => {
+      let filters;
+      try {
+        filters = this._archiveFilters(req.query);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      const boosts = this.archive.query(filters);
+      const format = req.query.format === 'csv' ? 'csv' : 'jsonl';
+      res.set('Content-Disposition', `attachment; filename="boosts.${format}"`);
+      if (format === 'csv') {
+        res.type('text/csv').send(this.archive.toCsv(boosts));
+      } else {
+        res.type('application/x-ndjson').send(this.archive.toJsonl(boosts));
+      }
+    });
+
+    this._setupAdminRoutes(app);
+    return app;
+  }
+
+  // Throws on anything that would otherwise quietly widen the query
+  _archiveFilters(query) {
+    const filters = {};
+    for (const key of ['from', 'to', 'show', 'sender', 'minSats']) {
+      if (query[key] === undefined) {
+        continue;
+      }
+      if (typeof query[key] !== 'string') {
+        throw new Error(`${key} must be given once`);
+      }
+      filters[key] = query[key];
+    }
+    for (const key of ['from', 'to']) {
+      if (filters[key] && isNaN(new Date(filters[key]).getTime())) {
+        throw new Error(`${key} is not a valid date`);
+      }
+    }
+    if (filters.minSats && isNaN(parseInt(filters.minSats))) {
+      throw new Error('minSats must be a number');
+    }
+    return filters;
+  }
+
+  _setupAdminRoutes(app) {
+    const requireAdmin = Security.createAdminAuth(this.config.app.adminToken);
+
+    app.get('/admin/senders', requireAdmin, (req, res) => {
+      res.json({ senders: this.senderRegistry.list() });
+    });
+
+    app.put('/admin/senders/:name', requireAdmin, (req, res) => {
+      try {
+        const mapping = this.senderRegistry.set(req.params.name, req.body?.npub || req.body?.nip05 || req.body?.pubkey);
+        this.auditLog.record('sender.set', { name: req.params.name, mapping, ip: req.ip });
+        res.json({ name: req.params.name.toLowerCase(), mapping });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    app.delete('/admin/senders/:name', requireAdmin, (req, res) => {
+      if (!this.senderRegistry.remove(req.params.name)) {
+        return res.status(404).json({ error: 'No mapping for that sender' });
+      }
+      this.auditLog.record('sender.remove', { name: req.params.name, ip: req.ip });
+      res.status(204).end();
+    });
+
+    app.get('/admin/events', requireAdmin, (req, res) => {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      res.json({ events: this.recentEvents.list(limit) });
+    });
+
+    // Retract a published event with a NIP-09 deletion request
+    app.delete('/admin/events/:id', requireAdmin, async (req, res) => {
+      const event = this.recentEvents.get(req.params.id);
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found among recent published events' });
+      }
+      if (event.deleted) {
+        return res.status(409).json({ error: 'Event has already been deleted' });
+      }
+
+      try {
+        const reason = typeof req.body?.reason === 'string' ? req.body.reason : '';
+        // Deletions and corrections go to the relays the note was published to
+        const result = await this.nostrClient.deleteEvent(event, reason, event.relaySet, event.companions || []);
+        this.recentEvents.update(event.id, { deleted: true });
+        this.archive.markDeleted(event.id);
+        this.showThreads?.replaceRoot(event.id);
+        this.auditLog.record('event.delete', { eventId: event.id, deletionId: result.eventId, reason, ip: req.ip });
+        res.json({ deleted: event.id, deletionId: result.eventId, published: result.published });
+      } catch (error) {
+        logger.error('❌ Failed to delete event:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Publish a corrected copy of a note (same tags) with its archive records and structured
+    // events, then retract the original
+    app.post('/admin/events/:id/correct', requireAdmin, async (req, res) => {
+      const event = this.recentEvents.get(req.params.id);
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found among recent published events' });
+      }
+      if (event.kind !== 1) {
+        return res.status(400).json({ error: 'Only kind-1 notes can be corrected' });
+      }
+      const content = req.body?.content;
+      if (typeof content !== 'string' || !content.trim()) {
+        return res.status(400).json({ error: 'content is required' });
+      }
+
+      try {
+        const reason = typeof req.body?.reason === 'string' ? req.body.reason : 'Replaced by a corrected note';
+        const correctedEvent = await this.nostrClient.signEvent({ kind: 1, content, tags: event.tags });
+        const records = this.archive.recordsFor(event.id);
+        records.forEach((record, index) => {
+          this.archive.record({ raw: record.raw, boost: record.parsed, event: correctedEvent, index: records.length > 1 ? index : null });
+        });
+        const corrected = await this.nostrClient.publishSigned(correctedEvent, { relaySet: event.relaySet, recent: true });
+        const deletion = await this.nostrClient.deleteEvent(event, reason, event.relaySet, event.companions || []);
+        this.recentEvents.update(event.id, { deleted: true, correctedBy: corrected.eventId });
+        this.archive.markDeleted(event.id);
+        this.showThreads?.replaceRoot(event.id, corrected.eventId);
+        if (this.config.nostr.structuredEvents) {
+          for (const [index, record] of records.entries()) {
+            if (record.parsed?.amount) {
+              await this._postBoostData(record.parsed, corrected.eventId, records.length > 1 ? index : null, event.relaySet);
+            }
+          }
+        }
+        this.auditLog.record('event.correct', {
+          eventId: event.id,
+          correctedId: corrected.eventId,
+          deletionId: deletion.eventId,
+          reason,
+          ip: req.ip
+        });
+        res.json({ original: event.id, corrected: corrected.eventId, deletionId: deletion.eventId });
+      } catch (error) {
+        logger.error('❌ Failed to correct event:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    app.get('/admin/moderation', requireAdmin, (req, res) => {
+      if (!this.moderation) {
+        return res.status(404).json({ error: 'Moderation is not enabled' });
+      }
+      res.json({ pending: this.moderation.list() });
+    });
+
+    app.patch('/admin/moderation/:id', requireAdmin, (req, res) => {
+      try {
+        const item = this.moderation?.edit(req.params.id, req.body);
+        if (!item) {
+          return res.status(404).json({ error: 'No held boost with that id' });
+        }
+        this.auditLog.record('moderation.edit', { id: item.id, edits: item.edits, ip: req.ip });
+        res.json(item);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    app.post('/admin/moderation/:id/approve', requireAdmin, async (req, res) => {
+      try {
+        // Edits can also be sent with the approval
+        const changes = req.body && Object.keys(req.body).length > 0 ? req.body : null;
+        const item = await this.moderation?.approve(req.params.id, changes);
+        if (!item) {
+          return res.status(404).json({ error: 'No held boost with that id' });
+        }
+        this.auditLog.record('moderation.approve', { id: item.id, edits: item.edits, ip: req.ip });
+        res.json({ approved: item.id });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    app.post('/admin/moderation/:id/reject', requireAdmin, (req, res) => {
+      const item = this.moderation?.reject(req.params.id);
+      if (!item) {
+        return res.status(404).json({ error: 'No held boost with that id' });
+      }
+      const reason = typeof req.body?.reason === 'string' ? req.body.reason : '';
+      this.auditLog.record('moderation.reject', { id: item.id, reason, ip: req.ip });
+      res.json({ rejected: item.id });
+    });
+
+    app.get('/admin/audit', requireAdmin, (req, res) => {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+      res.json({ entries: this.auditLog.recent(limit) });
+    });
+  }
+
+  stop() {
+    if (this.ircClient) {
+      try {
+        this.ircClient.disconnect();
+        logger.info('IRC client disconnected');
+      } catch (error) {
+        logger.error('Error disconnecting IRC client:', error);
+      }
+    }
+    
+    if (this.digest) {
+      this.digest.stop();
+    }
+
+    if (this.fiatRates) {
+      this.fiatRates.stop();
+    }
+
+    if (this.moderation) {
+      this.moderation.stop();
+    }
+
+    for (const queue of this.burstQueues.values()) {
+      queue.stop();
+    }
+
+    if (this.embeddedRelay) {
+      this.embeddedRelay.close();
+    }
+    
+    if (this.nostrClient) {
+      this.nostrClient.close();
+      logger.info('Nostr relay connections closed');
+    }
+  }
+}
+
+// How long a crash waits for its alert DMs before exiting
+const ALERT_EXIT_TIMEOUT_MS = 10000;
+
+// Runs every configured bridge in one process, behind one web server with shared
+// /status and /health; each bridge's own routes live under /bridges/<name>
+class BridgeRuntime {
+  constructor() {
+    this.config = new Config(); // process-wide settings such as the port and BRIDGES_FILE
+    this.bridges = [];
+    this._setupGlobalErrorHandlers();
+  }
+
+  _setupGlobalErrorHandlers() {
+    process.on('uncaughtException', (error) => {
+      logger.error('Uncaught exception:', { error: error.message, stack: error.stack });
+      const alerts = this.bridges.map(bridge =>
+        bridge._alert('critical', `uncaught:${error.message}`, `Uncaught exception: ${error.message}`)
+      );
+      
+      // Don't exit immediately on IRC-related errors - try to recover
+      if (error.message && error.message.includes('Cannot read properties of null')) {
+        logger.warn('Detected IRC library null reference error, attempting recovery...');
+        setTimeout(() => {
+          for (const bridge of this.bridges) {
+            bridge.ircClient?.resetAndReconnect();
+          }
+        }, 5000);
+        return;
+      }
+      
+      // Give the alert DMs a chance to go out before the relay connections are closed
+      const timeout = new Promise(resolve => setTimeout(resolve, ALERT_EXIT_TIMEOUT_MS));
+      Promise.race([Promise.allSettled(alerts), timeout]).then(() => this._gracefulShutdown(1));
+    });
+
+    process.on('unhandledRejection', (reason, promise) => {
+      logger.error('Unhandled rejection:', { reason, promise });
+      
+      // Don't crash on promise rejections - log and continue
+      if (reason && typeof reason === 'object' && reason.message) {
+        logger.warn('Handling promise rejection gracefully:', reason.message);
+      }
+    });
+
+    ['SIGINT', 'SIGTERM'].forEach(signal => {
+      process.on(signal, () => this._gracefulShutdown(0));
+    });
+  }
+
+  // BRIDGES_FILE when it exists, otherwise the single bridge the environment describes
+  _loadBridgeConfigs() {
+    const file = this.config.bridges.file;
+    if (!fs.existsSync(file)) {
+      return [this.config];
+    }
+    const definitions = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(definitions) || definitions.length === 0) {
+      throw new Error(`${file} must contain a non-empty JSON array of bridge definitions`);
+    }
+    const configs = definitions.map((definition, index) => {
+      if (typeof definition?.name !== 'string') {
+        throw new Error(`Bridge definition ${index + 1} in ${file} has no name`);
+      }
+      return Config.fromDefinition(definition);
+    });
+    const names = configs.map(config => config.name.toLowerCase());
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) {
+      throw new Error(`${file} defines the bridge "${duplicate}" more than once`);
+    }
+    // Two bridges with the same nick on one server would keep knocking each other off
+    const connections = configs.map(config => `${config.irc.server.toLowerCase()}:${config.irc.port}/${config.irc.nickname.toLowerCase()}`);
+    const shared = connections.findIndex((connection, index) => connections.indexOf(connection) !== index);
+    if (shared !== -1) {
+      const { irc } = configs[shared];
+      throw new Error(`${file} connects more than one bridge to ${irc.server}:${irc.port} as ${irc.nickname}`);
+    }
+    logger.info(`🌉 Loaded ${configs.length} bridge definition(s) from ${file}`);
+    return configs;
+  }
+
+  async start() {
+    try {
+      const configs = this._loadBridgeConfigs();
+      const validationErrors = configs.flatMap(config =>
+        config.validate().map(error => (configs.length > 1 ? `${config.name}: ${error}` : error))
+      );
+      if (validationErrors.length > 0) {
+        logger.error('Configuration errors:', validationErrors);
+        process.exit(1);
+      }
+
+      this.bridges = configs.map(config => new BoostBridge(config));
+      for (const bridge of this.bridges) {
+        await bridge.start();
+      }
+      this._startWebServer();
+      
+      logger.info(`🚀 LibreRelayBot started with ${this.bridges.length} bridge(s): ${this.bridges.map(bridge => bridge.name).join(', ')}`);
+    } catch (error) {
+      logger.error('Failed to start bridge:', error);
+      process.exit(1);
     }
   }
 
@@ -395,51 +1747,69 @@ class LibreRelayBotBridge {
     });
 
     app.get('/health', (req, res) => {
-      const healthy = this.ircClient?.isConnected && this.nostrClient;
+      const bridges = Object.fromEntries(this.bridges.map(bridge => [bridge.name, bridge.getHealth()]));
+      const healthy = Object.values(bridges).every(health => health.healthy);
       res.status(healthy ? 200 : 503).json({
         status: healthy ? 'healthy' : 'unhealthy',
         uptime: process.uptime(),
-        connected: this.ircClient?.isConnected || false,
+        connected: Object.values(bridges).every(health => health.connected),
+        bridges,
         timestamp: new Date().toISOString()
       });
     });
 
     app.get('/status', (req, res) => {
-      const uptimeSeconds = Math.floor((Date.now() - this.stats.startTime) / 1000);
+      const bridges = Object.fromEntries(this.bridges.map(bridge => [bridge.name, bridge.getStatus()]));
       res.json({
-        ...this.stats,
-        uptime: uptimeSeconds,
-        irc: {
-          connected: this.ircClient?.isConnected || false,
-          server: this.config.irc.server,
-          channels: this.config.irc.channels,
-          monitoring: this.config.app.targetBot
-        },
-        nostr: {
-          configured: !!this.nostrClient,
-          relays: this.config.nostr.relays,
-          testMode: this.config.app.testMode
-        }
+        uptime: Math.floor(process.uptime()),
+        // Overall IRC state, which monitor-health.sh checks
+        irc: { connected: Object.values(bridges).every(status => status.irc.connected) },
+        bridges
       });
     });
 
-    app.listen(this.config.app.port, () => {
-      logger.info(`🌐 Web server running on port ${this.config.app.port}`);
-      logger.info(`📊 Status: http://localhost:${this.config.app.port}/status`);
-      logger.info(`💚 Health: http://localhost:${this.config.app.port}/health`);
+    for (const bridge of this.bridges) {
+      app.use(`/bridges/${bridge.name}`, bridge.router());
+    }
+    // A single bridge also answers at the top level, as it did before BRIDGES_FILE
+    if (this.bridges.length === 1) {
+      app.use('/', this.bridges[0].router());
+    }
+
+    const port = this.config.app.port;
+    const server = app.listen(port, () => {
+      logger.info(`🌐 Web server running on port ${port}`);
+      logger.info(`📊 Status: http://localhost:${port}/status`);
+      logger.info(`💚 Health: http://localhost:${port}/health`);
+      for (const bridge of this.bridges) {
+        logger.info(`🌉 ${bridge.name}: http://localhost:${port}/bridges/${bridge.name}/relays`);
+      }
+    });
+
+    // Embedded relays share the port, at /bridges/<name> (or / with a single bridge)
+    server.on('upgrade', (req, socket, head) => {
+      let pathname;
+      try {
+        pathname = new URL(req.url, 'http://localhost').pathname.replace(/\/$/, '');
+      } catch {
+        socket.destroy();
+        return;
+      }
+      const bridge = this.bridges.find(candidate => pathname === `/bridges/${candidate.name}`)
+        || (this.bridges.length === 1 && pathname === '' ? this.bridges[0] : null);
+      if (!bridge?.embeddedRelay) {
+        socket.destroy();
+        return;
+      }
+      bridge.embeddedRelay.handleUpgrade(req, socket, head);
     });
   }
 
   _gracefulShutdown(exitCode = 0) {
     logger.info('🛑 Shutting down gracefully...');
     
-    if (this.ircClient) {
-      try {
-        this.ircClient.disconnect();
-        logger.info('IRC client disconnected');
-      } catch (error) {
-        logger.error('Error disconnecting IRC client:', error);
-      }
+    for (const bridge of this.bridges) {
+      bridge.stop();
     }
     
     setTimeout(() => {
@@ -449,9 +1819,9 @@ class LibreRelayBotBridge {
   }
 }
 
-// Start the bridge
-const bridge = new LibreRelayBotBridge();
-bridge.start().catch(error => {
+// Start the bridges
+const runtime = new BridgeRuntime();
+runtime.start().catch(error => {
   logger.error('❌ Failed to start bridge:', error);
   process.exit(1);
 });
@@ -0,0 +1,103 @@
+// local-bunker.js - Minimal NIP-46 bunker for exercising remote signing without a real signer app
+import dotenv from 'dotenv';
+import { finalizeEvent, getPublicKey, nip19, nip44 } from 'nostr-tools';
+import { Relay } from 'nostr-tools/relay';
+
+dotenv.config();
+
+const NOSTR_CONNECT_KIND = 24133;
+
+const nsec = process.env.BUNKER_NSEC || process.env.NOSTR_NSEC;
+const relayUrl = process.env.BUNKER_RELAY || 'wss://relay.nsec.app';
+const secret = process.env.BUNKER_SECRET || '';
+
+if (!nsec?.startsWith('nsec1')) {
+  console.error('Set BUNKER_NSEC (or NOSTR_NSEC) to the key this bunker should sign with');
+  process.exit(1);
+}
+
+const { data: secretKey } = nip19.decode(nsec);
+const pubkey = getPublicKey(secretKey);
+const connectedClients = new Set();
+
+function handleRequest(clientPubkey, method, params) {
+  switch (method) {
+    case 'connect':
+      if (secret && params[1] !== secret) {
+        throw new Error('invalid secret');
+      }
+      connectedClients.add(clientPubkey);
+      return 'ack';
+    case 'ping':
+      return 'pong';
+    case 'get_public_key':
+      return pubkey;
+    case 'sign_event': {
+      if (!connectedClients.has(clientPubkey)) {
+        throw new Error('client is not connected');
+      }
+      const template = JSON.parse(params[0]);
+      return JSON.stringify(finalizeEvent(template, secretKey));
+    }
+    case 'nip44_encrypt': {
+      if (!connectedClients.has(clientPubkey)) {
+        throw new Error('client is not connected');
+      }
+      const [thirdPartyPubkey, plaintext] = params;
+      return nip44.encrypt(plaintext, nip44.getConversationKey(secretKey, thirdPartyPubkey));
+    }
+    default:
+      throw new Error(`unsupported method: ${method}`);
+  }
+}
+
+async function main() {
+  const relay = await Relay.connect(relayUrl);
+
+  relay.subscribe([{ kinds: [NOSTR_CONNECT_KIND], '#p': [pubkey], since: Math.floor(Date.now() / 1000) }], {
+    onevent: async (event) => {
+      const conversationKey = nip44.getConversationKey(secretKey, event.pubkey);
+      let request;
+      try {
+        request = JSON.parse(nip44.decrypt(event.content, conversationKey));
+      } catch (error) {
+        console.warn(`Ignoring undecryptable request from ${event.pubkey}`);
+        return;
+      }
+
+      const response = { id: request.id };
+      try {
+        response.result = handleRequest(event.pubkey, request.method, request.params || []);
+      } catch (error) {
+        response.error = error.message;
+      }
+      console.log(`${request.method} from ${event.pubkey.substring(0, 8)}: ${response.error || 'ok'}`);
+
+      await relay.publish(finalizeEvent({
+        kind: NOSTR_CONNECT_KIND,
+        content: nip44.encrypt(JSON.stringify(response), conversationKey),
+        tags: [['p', event.pubkey]],
+        created_at: Math.floor(Date.now() / 1000)
+      }, secretKey));
+    }
+  });
+
+  const query = new URLSearchParams({ relay: relayUrl });
+  if (secret) {
+    query.set('secret', secret);
+  }
+  console.log(`Local bunker signing as ${nip19.npubEncode(pubkey)}`);
+  console.log(`NOSTR_BUNKER_URI=bunker://${pubkey}?${query}`);
+
+  ['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, () => {
+      relay.close();
+      process.exit(0);
+    });
+  });
+}
+
+main().catch(error => {
+  console.error('Local bunker failed:', error);
+  process.exit(1);
+});